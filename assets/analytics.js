@@ -0,0 +1,404 @@
+import { ThemeEvents, eventBus } from '@theme/events';
+import { cartStore, isCart, CART_SYNC_SOURCE } from '@theme/cart';
+import { debounce } from '@theme/utilities';
+
+/**
+ * Maps theme events to analytics events and sends them to every registered adapter.
+ * Event names and parameters follow the GA4 ecommerce schema, adapters translate them for their destination.
+ *
+ * Custom liquid can register more adapters:
+ * @example
+ * <script type="module">
+ *   import { analytics } from '@theme/analytics';
+ *   analytics.use({ send: (event) => console.log(event.name, event.params) });
+ * </script>
+ */
+
+/** @typedef {import('./cart').Cart} Cart */
+/** @typedef {import('./cart').CartItem} CartItem */
+
+/**
+ * @typedef {Object} AnalyticsItem
+ * @property {string} item_id - The variant ID
+ * @property {string} [item_name] - The product title
+ * @property {string} [item_variant] - The variant title
+ * @property {string} [item_brand] - The product vendor
+ * @property {number} [price] - The unit price, in major units
+ * @property {number} [quantity]
+ */
+
+/**
+ * @typedef {Object} AnalyticsEvent
+ * @property {string} name - The GA4 event name, e.g. `add_to_cart`
+ * @property {Record<string, any>} params - The GA4 event parameters
+ */
+
+/**
+ * @typedef {Object} AnalyticsAdapter
+ * @property {(event: AnalyticsEvent) => void} send - Sends an event to the destination
+ */
+
+/**
+ * How long a predictive search query has to stay unchanged to be reported
+ */
+const SEARCH_DEBOUNCE = 1000;
+
+/**
+ * Pushes events to a Google Tag Manager data layer
+ * @implements {AnalyticsAdapter}
+ */
+export class DataLayerAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name] - The name of the data layer on `window`
+   * @param {Record<string, string>} [options.eventNames] - Renames events, e.g. `{ add_to_cart: 'addToCart' }`
+   */
+  constructor({ name = 'dataLayer', eventNames = {} } = {}) {
+    this.name = name;
+    this.eventNames = eventNames;
+  }
+
+  /** @param {AnalyticsEvent} event */
+  send({ name, params }) {
+    const globals = /** @type {Record<string, any>} */ (window);
+    const dataLayer = (globals[this.name] ??= []);
+    const { items, currency, value, ...rest } = params;
+
+    // Clears the previous ecommerce object, so its items do not leak into this event
+    if (items) dataLayer.push({ ecommerce: null });
+
+    dataLayer.push({
+      event: this.eventNames[name] ?? name,
+      ...rest,
+      ...(items && { ecommerce: { currency, value, items } }),
+    });
+  }
+}
+
+/**
+ * Publishes events to the Shopify customer events API, where they are available to custom pixels
+ * @implements {AnalyticsAdapter}
+ */
+export class ShopifyAnalyticsAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Prefixed to the event names
+   */
+  constructor({ prefix = 'theme_' } = {}) {
+    this.prefix = prefix;
+  }
+
+  /** @param {AnalyticsEvent} event */
+  send({ name, params }) {
+    window.Shopify?.analytics?.publish(`${this.prefix}${name}`, params);
+  }
+}
+
+/**
+ * Sends events to the Meta Pixel, using its standard events where there is one
+ * @implements {AnalyticsAdapter}
+ */
+export class MetaPixelAdapter {
+  /** @type {Record<string, string>} */
+  static standardEvents = {
+    add_to_cart: 'AddToCart',
+    view_item: 'ViewContent',
+    search: 'Search',
+  };
+
+  /** @param {AnalyticsEvent} event */
+  send({ name, params }) {
+    if (!window.fbq) return;
+
+    const standardEvent = MetaPixelAdapter.standardEvents[name];
+    const payload = {
+      ...(params.items && {
+        content_ids: params.items.map((/** @type {AnalyticsItem} */ item) => item.item_id),
+        content_type: 'product',
+      }),
+      ...(params.value !== undefined && { value: params.value, currency: params.currency }),
+      ...(params.search_term && { search_string: params.search_term }),
+    };
+
+    if (standardEvent) {
+      window.fbq('track', standardEvent, payload);
+    } else {
+      window.fbq('trackCustom', name, { ...payload, ...params });
+    }
+  }
+}
+
+/**
+ * Keeps events in memory, to inspect them while developing or in tests
+ * @implements {AnalyticsAdapter}
+ */
+export class MemoryAdapter {
+  /** @type {AnalyticsEvent[]} */
+  events = [];
+
+  /** @param {AnalyticsEvent} event */
+  send(event) {
+    this.events.push(event);
+  }
+}
+
+export class ThemeAnalytics {
+  /** @type {Set<AnalyticsAdapter>} */
+  #adapters = new Set();
+
+  /**
+   * The cart the last add or removal was measured against
+   * @type {Cart | null}
+   */
+  #lastCart = null;
+
+  /**
+   * @param {Object} [options]
+   * @param {import('./events').ThemeEventBus} [options.bus] - Where the theme events are observed
+   * @param {AnalyticsAdapter[]} [options.adapters]
+   */
+  constructor({ bus = eventBus, adapters = [] } = {}) {
+    for (const adapter of adapters) this.use(adapter);
+
+    cartStore
+      .get()
+      .then((cart) => (this.#lastCart ??= cart))
+      .catch(() => {});
+
+    bus.subscribe(ThemeEvents.variantSelected, this.#onVariantSelected);
+    bus.subscribe(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    bus.subscribe(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    bus.subscribe(ThemeEvents.cartError, this.#onCartError);
+    bus.subscribe(ThemeEvents.discountUpdate, this.#onDiscountUpdate);
+    bus.subscribe(ThemeEvents.FilterUpdate, this.#onFilterUpdate);
+    bus.subscribe(ThemeEvents.predictiveSearch, this.#onPredictiveSearch);
+    bus.subscribe(ThemeEvents.quickAddOpen, this.#onQuickAddOpen);
+  }
+
+  /**
+   * Registers an adapter
+   * @param {AnalyticsAdapter} adapter
+   * @returns {() => void} A function that removes the adapter
+   */
+  use(adapter) {
+    this.#adapters.add(adapter);
+
+    return () => {
+      this.#adapters.delete(adapter);
+    };
+  }
+
+  /**
+   * Sends an event to every adapter
+   * @param {string} name - The GA4 event name
+   * @param {Record<string, any>} [params] - The GA4 event parameters
+   */
+  track(name, params = {}) {
+    for (const adapter of this.#adapters) {
+      try {
+        adapter.send({ name, params });
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+
+  /** @param {Event & { detail?: any }} event */
+  #onVariantSelected = (event) => {
+    this.track('select_content', { content_type: 'variant_option', content_id: String(event.detail.resource.id) });
+  };
+
+  /** @param {Event & { detail?: any }} event */
+  #onVariantUpdate = (event) => {
+    const variant = event.detail.resource;
+
+    // The variant was already reported when it was resolved from the product data of the page
+    if (!variant || event.detail.data.background) return;
+
+    const price = typeof variant.price === 'number' ? variant.price / 100 : undefined;
+
+    this.track('view_item', {
+      currency: Theme.currency.code,
+      value: price,
+      items: [
+        {
+          item_id: String(variant.id),
+          item_name: variant.name,
+          item_variant: variant.title,
+          price,
+          quantity: 1,
+        },
+      ],
+    });
+  };
+
+  /** @param {Event & { detail?: any }} event */
+  #onCartUpdate = async (event) => {
+    const { resource, data } = event.detail;
+
+    // Changes made in another tab were already reported there
+    if (data.didError || data.source === CART_SYNC_SOURCE) return;
+
+    const previousCart = this.#lastCart;
+    const cart = isCart(resource) ? resource : await cartStore.refresh().catch(() => null);
+    if (!cart) return;
+
+    this.#lastCart = cart;
+    if (!previousCart) return;
+
+    const { added, removed } = diffCarts(previousCart, cart);
+
+    if (added.length) this.track('add_to_cart', toEcommerceParams(cart, added));
+    if (removed.length) this.track('remove_from_cart', toEcommerceParams(cart, removed));
+  };
+
+  /** @param {Event & { detail?: any }} event */
+  #onCartError = (event) => {
+    this.track('cart_error', { message: event.detail.data.message ?? '', source_id: event.detail.sourceId });
+  };
+
+  /** @param {Event & { detail?: any }} event */
+  #onDiscountUpdate = (event) => {
+    /** @type {Array<{ code: string, applicable: boolean }>} */
+    const discountCodes = event.detail.resource.discount_codes ?? [];
+
+    this.track('discount_update', {
+      coupon: discountCodes
+        .filter(({ applicable }) => applicable)
+        .map(({ code }) => code)
+        .join(','),
+    });
+  };
+
+  /** @param {Event & { detail?: any }} event */
+  #onFilterUpdate = (event) => {
+    /** @type {URLSearchParams} */
+    const queryParams = event.detail.queryParams;
+    const filters = [...queryParams.entries()].filter(([key]) => key.startsWith('filter.'));
+
+    this.track('filter_update', {
+      filters: filters.map(([key, value]) => `${key.replace('filter.', '')}:${value}`).join(','),
+      sort_by: queryParams.get('sort_by') ?? undefined,
+    });
+  };
+
+  /**
+   * Reports the query the shopper settled on, rather than every keystroke
+   */
+  #onPredictiveSearch = debounce((/** @type {Event & { detail?: any }} */ event) => {
+    this.track('search', { search_term: event.detail.searchTerm });
+  }, SEARCH_DEBOUNCE);
+
+  /** @param {Event & { detail?: any }} event */
+  #onQuickAddOpen = (event) => {
+    const { id, title, url } = event.detail.resource;
+
+    this.track('select_item', {
+      item_list_name: 'quick_add',
+      items: [{ item_id: id ?? url, item_name: title }],
+    });
+  };
+}
+
+/**
+ * Compares the quantities of each variant between two carts
+ * @param {Cart} previousCart
+ * @param {Cart} cart
+ * @returns {{ added: Array<{ item: CartItem, quantity: number }>, removed: Array<{ item: CartItem, quantity: number }> }}
+ */
+function diffCarts(previousCart, cart) {
+  const previousQuantities = getVariantQuantities(previousCart);
+  const quantities = getVariantQuantities(cart);
+  const added = [];
+  const removed = [];
+
+  for (const [variantId, { item, quantity }] of quantities) {
+    const delta = quantity - (previousQuantities.get(variantId)?.quantity ?? 0);
+    if (delta > 0) added.push({ item, quantity: delta });
+    if (delta < 0) removed.push({ item, quantity: -delta });
+  }
+
+  for (const [variantId, { item, quantity }] of previousQuantities) {
+    if (!quantities.has(variantId)) removed.push({ item, quantity });
+  }
+
+  return { added, removed };
+}
+
+/**
+ * Sums the quantities of each variant, as a variant can be on several lines with different properties
+ * @param {Cart} cart
+ * @returns {Map<number, { item: CartItem, quantity: number }>}
+ */
+function getVariantQuantities(cart) {
+  const quantities = new Map();
+
+  for (const item of cart.items) {
+    const entry = quantities.get(item.variant_id);
+    quantities.set(item.variant_id, { item: entry?.item ?? item, quantity: (entry?.quantity ?? 0) + item.quantity });
+  }
+
+  return quantities;
+}
+
+/**
+ * Builds the GA4 ecommerce parameters of changed cart lines
+ * @param {Cart} cart
+ * @param {Array<{ item: CartItem, quantity: number }>} changes
+ * @returns {Record<string, any>}
+ */
+function toEcommerceParams(cart, changes) {
+  /** @type {AnalyticsItem[]} */
+  const items = changes.map(({ item, quantity }) => ({
+    item_id: String(item.variant_id),
+    item_name: item.product_title,
+    item_variant: item.variant_title ?? undefined,
+    item_brand: item.vendor,
+    price: item.final_price / 100,
+    quantity,
+  }));
+
+  return {
+    currency: cart.currency,
+    value: items.reduce((total, { price = 0, quantity = 1 }) => total + price * quantity, 0),
+    items,
+  };
+}
+
+/**
+ * Reads the event names set in the theme settings, one per line, e.g. `add_to_cart: addToCart`
+ * @param {string | null | undefined} value
+ * @returns {Record<string, string>}
+ */
+function parseEventNames(value) {
+  /** @type {Record<string, string>} */
+  const eventNames = {};
+
+  for (const line of (value ?? '').split('\n')) {
+    const [name, eventName] = line.split(':').map((part) => part.trim());
+    if (name && eventName) eventNames[name] = eventName;
+  }
+
+  return eventNames;
+}
+
+/**
+ * Creates the adapters enabled in the theme settings
+ * @returns {AnalyticsAdapter[]}
+ */
+function getConfiguredAdapters() {
+  const { data_layer, data_layer_event_names, shopify_events, meta_pixel } = Theme.analytics ?? {};
+
+  /** @type {AnalyticsAdapter[]} */
+  const adapters = [];
+
+  if (data_layer) {
+    adapters.push(new DataLayerAdapter({ name: data_layer, eventNames: parseEventNames(data_layer_event_names) }));
+  }
+  if (shopify_events) adapters.push(new ShopifyAnalyticsAdapter());
+  if (meta_pixel) adapters.push(new MetaPixelAdapter());
+
+  return adapters;
+}
+
+export const analytics = new ThemeAnalytics({ adapters: getConfiguredAdapters() });
@@ -0,0 +1,276 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+
+/**
+ * The storage key of the variants the shopper subscribed to
+ */
+const SUBSCRIPTIONS_KEY = 'backInStockSubscriptions';
+
+/**
+ * The most subscriptions remembered, the oldest are forgotten first
+ */
+const MAX_SUBSCRIPTIONS = 50;
+
+/**
+ * A WhatsApp number in international format, once spaces, dashes and parentheses are removed
+ */
+const PHONE_PATTERN = /^\+?[1-9]\d{7,14}$/;
+
+/**
+ * @typedef {'email' | 'whatsapp'} Channel
+ */
+
+/**
+ * A custom element that lets shoppers subscribe to a sold out variant, by email or WhatsApp.
+ * It replaces the buy buttons while the selected variant is unavailable, and hides itself when an available
+ * variant is selected. The variants the shopper subscribed to are remembered, so the form is not shown again.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement} email - The email input.
+ * @property {HTMLInputElement} [phone] - The WhatsApp number input, only rendered when an endpoint is set.
+ * @property {HTMLInputElement} tags - The customer tags, which identify the variant.
+ * @property {HTMLButtonElement} submitButton - The submit button.
+ * @property {HTMLElement} message - The confirmation or error message.
+ *
+ * @extends {Component<Refs>}
+ */
+class BackInStockComponent extends Component {
+  requiredRefs = ['email', 'tags', 'submitButton', 'message'];
+
+  /** @type {Element | null} */
+  #section = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#section = this.closest('.shopify-section, dialog');
+    this.#section?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    this.form?.addEventListener('submit', this.#onSubmit);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#section?.removeEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    this.#section = null;
+    this.form?.removeEventListener('submit', this.#onSubmit);
+  }
+
+  /**
+   * The subscription form, rendered by the Liquid `form` tag.
+   * @returns {HTMLFormElement | null}
+   */
+  get form() {
+    return this.querySelector('form');
+  }
+
+  /**
+   * The channel selected by the shopper.
+   * @returns {Channel}
+   */
+  get channel() {
+    const selected = this.querySelector('input[name="channel"]:checked');
+    return selected instanceof HTMLInputElement && selected.value === 'whatsapp' ? 'whatsapp' : 'email';
+  }
+
+  /**
+   * Shows the input of the selected channel. The other input is disabled, so it is not posted.
+   */
+  selectChannel() {
+    const { email, phone } = this.refs;
+    const isWhatsApp = this.channel === 'whatsapp';
+
+    email.hidden = email.disabled = isWhatsApp;
+    if (phone) phone.hidden = phone.disabled = !isWhatsApp;
+
+    this.#showMessage('');
+  }
+
+  /**
+   * @param {VariantUpdateEvent} event
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const variant = event.detail.resource;
+
+    this.dataset.variantId = variant?.id ?? '';
+    this.refs.tags.value = `back-in-stock,back-in-stock-variant-${this.dataset.variantId}`;
+
+    // A combination of options that is not a variant can't come back in stock
+    this.hidden = !variant || variant.available;
+
+    this.#render();
+  };
+
+  /**
+   * @param {SubmitEvent} event
+   */
+  #onSubmit = async (event) => {
+    event.preventDefault();
+
+    const { variantId } = this.dataset;
+    const { submitButton } = this.refs;
+    const { channel } = this;
+    const contact = this.#validate(channel);
+
+    if (!variantId || !contact) return;
+
+    submitButton.disabled = true;
+    submitButton.setAttribute('aria-busy', 'true');
+
+    try {
+      // The page navigates to the captcha challenge
+      if (!(await this.#subscribe(variantId, channel, contact))) return;
+
+      rememberSubscription(variantId);
+
+      if (this.form) this.form.hidden = true;
+      this.#showMessage(this.dataset.messageSuccess ?? '');
+    } catch (error) {
+      console.error(error);
+      this.#showMessage(this.dataset.messageError ?? '', true);
+    } finally {
+      submitButton.disabled = false;
+      submitButton.removeAttribute('aria-busy');
+    }
+  };
+
+  /**
+   * Checks the input of the channel, and shows a message when it is invalid.
+   * @param {Channel} channel
+   * @returns {string | null} The email or the WhatsApp number, `null` when it is invalid.
+   */
+  #validate(channel) {
+    const input = channel === 'whatsapp' ? this.refs.phone : this.refs.email;
+    if (!input) return null;
+
+    const value = channel === 'whatsapp' ? input.value.replace(/[\s().-]/g, '') : input.value.trim();
+    const isValid = channel === 'whatsapp' ? PHONE_PATTERN.test(value) : value !== '' && input.checkValidity();
+
+    input.setAttribute('aria-invalid', String(!isValid));
+
+    if (!isValid) {
+      const message = channel === 'whatsapp' ? this.dataset.messageInvalidPhone : this.dataset.messageInvalidEmail;
+      this.#showMessage(message ?? '', true);
+      input.focus();
+      return null;
+    }
+
+    return value;
+  }
+
+  /**
+   * Posts the subscription to the endpoint, or saves the shopper as a customer tagged with the variant.
+   * @param {string} variantId
+   * @param {Channel} channel
+   * @param {string} contact - The email or the WhatsApp number.
+   * @returns {Promise<boolean>} False when the shopper has to complete the subscription on another page.
+   * Rejects when the subscription was not saved.
+   */
+  async #subscribe(variantId, channel, contact) {
+    const { endpoint, productId } = this.dataset;
+    const { form } = this;
+
+    if (!endpoint) return form ? subscribeWithCustomerForm(form) : false;
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({
+        product_id: productId,
+        variant_id: variantId,
+        channel,
+        contact,
+        locale: document.documentElement.lang,
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Back in stock subscription failed: ${response.status}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Shows the confirmation instead of the form when the shopper subscribed to the variant.
+   */
+  #render() {
+    const { variantId } = this.dataset;
+    const isSubscribed = !!variantId && getSubscriptions().includes(variantId);
+
+    if (this.form) this.form.hidden = isSubscribed;
+    this.#showMessage(isSubscribed ? (this.dataset.messageSuccess ?? '') : '');
+  }
+
+  /**
+   * @param {string} message
+   * @param {boolean} [isError]
+   */
+  #showMessage(message, isError = false) {
+    const { message: messageElement } = this.refs;
+
+    messageElement.textContent = message;
+    messageElement.classList.toggle('back-in-stock__message--error', isError);
+  }
+}
+
+/**
+ * Saves the shopper as a customer with the Shopify customer form, which redirects with `customer_posted=true`
+ * once the customer is saved. When the storefront asks for a captcha instead, the form is submitted normally,
+ * so the shopper completes the challenge on its page.
+ * @param {HTMLFormElement} form
+ * @returns {Promise<boolean>} False when the shopper is sent to the challenge page.
+ * Rejects when the customer was not saved.
+ */
+async function subscribeWithCustomerForm(form) {
+  const response = await fetch(form.action, { method: 'POST', body: new FormData(form) });
+  const { pathname, searchParams } = new URL(response.url);
+
+  if (response.ok && searchParams.get('customer_posted') === 'true') return true;
+
+  if (response.ok && pathname.endsWith('/challenge')) {
+    form.submit();
+    return false;
+  }
+
+  throw new Error(`Back in stock subscription failed: ${response.status} ${pathname}`);
+}
+
+/**
+ * The variants the shopper subscribed to
+ * @returns {string[]}
+ */
+function getSubscriptions() {
+  try {
+    const subscriptions = JSON.parse(localStorage.getItem(SUBSCRIPTIONS_KEY) ?? '[]');
+    return Array.isArray(subscriptions) ? subscriptions : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {string} variantId
+ */
+function rememberSubscription(variantId) {
+  const subscriptions = getSubscriptions().filter((id) => id !== variantId);
+  subscriptions.push(variantId);
+
+  try {
+    localStorage.setItem(SUBSCRIPTIONS_KEY, JSON.stringify(subscriptions.slice(-MAX_SUBSCRIPTIONS)));
+  } catch {
+    // The subscription is not remembered when the storage is unavailable
+  }
+}
+
+if (!customElements.get('back-in-stock-component')) {
+  customElements.define('back-in-stock-component', BackInStockComponent);
+}
@@ -1,27 +1,86 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
-import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
+import { CartUpdateEvent, DiscountUpdateEvent, ThemeEvents } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartStore, getCartSectionIds, CAMPAIGN_SOURCE } from '@theme/cart';
 
 /**
- * A custom element that applies a discount to the cart.
+ * The status of a discount code in the cart:
+ * - `applied`: the code lowers the price of the cart
+ * - `shipping`: the code applies to shipping, which is only known at checkout
+ * - `not_applicable`: the code is unknown or the cart is not eligible
+ * - `incompatible`: the code applied earlier, and no longer does because it cannot be combined with the other codes
+ * - `expired`: the code applied earlier, and no longer does on its own
+ *
+ * The cart only tells whether each code is applicable, so the last two are told apart from the codes
+ * that applied earlier in the session.
+ * @typedef {'applied' | 'shipping' | 'not_applicable' | 'incompatible' | 'expired'} DiscountCodeStatus
+ */
+
+/**
+ * @typedef {Object} DiscountCodeResult
+ * @property {string} code - The discount code
+ * @property {DiscountCodeStatus} status - The status of the code in the cart
+ * @property {number} amount - The amount the code saves, in cents
+ */
+
+/**
+ * The URL parameter campaign links pass discount codes with, e.g. `?discount=SUMMER,FREESHIP`
+ */
+const DISCOUNT_PARAMETER = 'discount';
+
+/**
+ * The storage key of the codes that applied to the cart during the session
+ */
+const APPLIED_CODES_KEY = 'cartAppliedDiscountCodes';
+
+/**
+ * The storage key of the campaign codes waiting for the cart to have items
+ */
+const CAMPAIGN_CODES_KEY = 'cartCampaignDiscountCodes';
+
+/**
+ * The results of the last campaign codes applied, shown by the components once they are rendered
+ * @type {{ cart: Object, results: DiscountCodeResult[] } | null}
+ */
+let campaignResults = null;
+
+/**
+ * Whether the campaign codes are being applied, the cart updates it causes don't apply them again
+ */
+let isApplyingCampaignCodes = false;
+
+/**
+ * A custom element that applies discount codes to the cart.
+ * Several codes can be entered at once, separated by commas or spaces, and are stacked with the codes
+ * already applied. The status of every code that does not lower the price is shown below the form.
  *
  * @typedef {Object} CartDiscountComponentRefs
- * @property {HTMLElement} cartDiscountError - The error element.
- * @property {HTMLElement} cartDiscountErrorDiscountCode - The discount code error element.
- * @property {HTMLElement} cartDiscountErrorShipping - The shipping error element.
+ * @property {HTMLUListElement} cartDiscountStatuses - The list of code statuses.
+ * @property {HTMLTemplateElement} cartDiscountStatusTemplate - The template of a code status.
  */
 
 /**
  * @extends {Component<CartDiscountComponentRefs>}
  */
 class CartDiscount extends Component {
-  requiredRefs = ['cartDiscountError', 'cartDiscountErrorDiscountCode', 'cartDiscountErrorShipping'];
+  requiredRefs = ['cartDiscountStatuses', 'cartDiscountStatusTemplate'];
 
   /** @type {AbortController | null} */
   #activeFetch = null;
 
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.discountUpdate, this.#onDiscountUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.discountUpdate, this.#onDiscountUpdate);
+  }
+
   #createAbortController() {
     if (this.#activeFetch) {
       this.#activeFetch.abort();
@@ -37,8 +96,6 @@ class CartDiscount extends Component {
    * @param {SubmitEvent} event - The submit event on our form.
    */
   applyDiscount = async (event) => {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-
     event.preventDefault();
     event.stopPropagation();
 
@@ -48,68 +105,30 @@ class CartDiscount extends Component {
     const discountCode = form.querySelector('input[name="discount"]');
     if (!(discountCode instanceof HTMLInputElement) || typeof this.dataset.sectionId !== 'string') return;
 
-    const discountCodeValue = discountCode.value;
+    const existingDiscounts = this.#existingDiscounts();
+    const newCodes = parseDiscountCodes(discountCode.value).filter((code) => !includesCode(existingDiscounts, code));
+
+    if (!newCodes.length) {
+      discountCode.value = '';
+      return;
+    }
 
     const abortController = this.#createAbortController();
+    const sectionId = this.dataset.sectionId;
 
     try {
-      const existingDiscounts = this.#existingDiscounts();
-      if (existingDiscounts.includes(discountCodeValue)) return;
-
-      cartDiscountError.classList.add('hidden');
-      cartDiscountErrorDiscountCode.classList.add('hidden');
-      cartDiscountErrorShipping.classList.add('hidden');
-
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
+      this.#renderStatuses([]);
 
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
+      const { data, results } = await applyDiscountCodes([...existingDiscounts, ...newCodes], {
+        sections: [sectionId],
         signal: abortController.signal,
       });
 
-      const data = await response.json();
-
-      if (
-        data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-          return discount.code === discountCodeValue && discount.applicable === false;
-        })
-      ) {
-        discountCode.value = '';
-        this.#handleDiscountError('discount_code');
-        return;
-      }
-
-      const newHtml = data.sections[this.dataset.sectionId];
-      const parsedHtml = new DOMParser().parseFromString(newHtml, 'text/html');
-      const section = parsedHtml.getElementById(`shopify-section-${this.dataset.sectionId}`);
-      const discountCodes = section?.querySelectorAll('.cart-discount__pill') || [];
-      if (section) {
-        const codes = Array.from(discountCodes)
-          .map((element) => (element instanceof HTMLLIElement ? element.dataset.discountCode : null))
-          .filter(Boolean);
-        // Before morphing, we need to check if the shipping discount is applicable in the UI
-        // we check the liquid logic compared to the cart payload to assess whether we leveraged
-        // a valid shipping discount code.
-        if (
-          codes.length === existingDiscounts.length &&
-          codes.every((/** @type {string} */ code) => existingDiscounts.includes(code)) &&
-          data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-            return discount.code === discountCodeValue && discount.applicable === true;
-          })
-        ) {
-          this.#handleDiscountError('shipping');
-          discountCode.value = '';
-          return;
-        }
-      }
+      discountCode.value = '';
 
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, newHtml);
+      morphSection(sectionId, data.sections[sectionId]);
+      this.#renderStatuses(results);
     } catch (error) {
     } finally {
       this.#activeFetch = null;
@@ -145,23 +164,20 @@ class CartDiscount extends Component {
     if (index === -1) return;
 
     existingDiscounts.splice(index, 1);
+    forgetAppliedCode(discountCode);
 
     const abortController = this.#createAbortController();
+    const sectionId = this.dataset.sectionId;
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
+      const { data, results } = await applyDiscountCodes(existingDiscounts, {
+        sections: [sectionId],
         signal: abortController.signal,
       });
 
-      const data = await response.json();
-
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+      morphSection(sectionId, data.sections[sectionId]);
+      this.#renderStatuses(results);
     } catch (error) {
     } finally {
       this.#activeFetch = null;
@@ -169,17 +185,54 @@ class CartDiscount extends Component {
   };
 
   /**
-   * Handles the discount error.
-   *
-   * @param {'discount_code' | 'shipping'} type - The type of discount error.
+   * Shows the status of the codes that do not lower the price of the cart.
+   * @param {DiscountCodeResult[]} results
    */
-  #handleDiscountError(type) {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-    const target = type === 'discount_code' ? cartDiscountErrorDiscountCode : cartDiscountErrorShipping;
-    cartDiscountError.classList.remove('hidden');
-    target.classList.remove('hidden');
+  #renderStatuses(results) {
+    const { cartDiscountStatuses, cartDiscountStatusTemplate } = this.refs;
+
+    const items = results
+      .filter(({ status }) => status !== 'applied')
+      .map(({ code, status }) => {
+        const fragment = /** @type {DocumentFragment} */ (cartDiscountStatusTemplate.content.cloneNode(true));
+        const message = fragment.querySelector('[data-discount-status-message]');
+
+        if (message) message.textContent = this.#getStatusMessage(status).replace('[code]', code);
+
+        return fragment;
+      });
+
+    cartDiscountStatuses.replaceChildren(...items);
   }
 
+  /**
+   * @param {DiscountCodeStatus} status
+   * @returns {string}
+   */
+  #getStatusMessage(status) {
+    switch (status) {
+      case 'shipping':
+        return this.dataset.messageShipping ?? '';
+      case 'incompatible':
+        return this.dataset.messageIncompatible ?? '';
+      case 'expired':
+        return this.dataset.messageExpired ?? '';
+      default:
+        return this.dataset.messageNotApplicable ?? '';
+    }
+  }
+
+  /**
+   * Shows the status of the campaign codes applied when the shopper landed on the page.
+   * @param {Event & { detail?: any }} event
+   */
+  #onDiscountUpdate = (event) => {
+    if (!campaignResults || event.detail?.sourceId !== CAMPAIGN_SOURCE) return;
+    if (event.detail.resource !== campaignResults.cart) return;
+
+    this.#renderStatuses(campaignResults.results);
+  };
+
   /**
    * Returns an array of existing discount codes.
    * @returns {string[]}
@@ -198,6 +251,229 @@ class CartDiscount extends Component {
   }
 }
 
+/**
+ * Replaces the discount codes of the cart, and gets the status of each code.
+ * @param {string[]} codes - Every code the cart should have
+ * @param {import('./cart').CartRequestOptions} options
+ * @returns {Promise<{ data: any, results: DiscountCodeResult[] }>}
+ */
+async function applyDiscountCodes(codes, options) {
+  const data = await cartStore.update({ discount: codes.join(',') }, options);
+  const results = getDiscountResults(data);
+
+  rememberAppliedCodes(results);
+
+  return { data, results };
+}
+
+/**
+ * Gets the status of each discount code of the cart, and the amount it saves
+ * @param {import('./cart').Cart} cart
+ * @returns {DiscountCodeResult[]}
+ */
+function getDiscountResults(cart) {
+  const discountCodes = cart.discount_codes ?? [];
+  const savings = getDiscountSavings(cart);
+  const appliedCodes = getStoredCodes(APPLIED_CODES_KEY);
+  const hasApplicableCode = discountCodes.some(({ applicable }) => applicable);
+
+  return discountCodes.map(({ code, applicable }) => {
+    const amount = savings.get(code.toLowerCase()) ?? 0;
+
+    /** @type {DiscountCodeStatus} */
+    let status = 'not_applicable';
+
+    if (applicable) {
+      status = amount > 0 ? 'applied' : 'shipping';
+    } else if (includesCode(appliedCodes, code)) {
+      status = hasApplicableCode ? 'incompatible' : 'expired';
+    }
+
+    return { code, status, amount };
+  });
+}
+
+/**
+ * Sums the amounts each discount code saves on the cart and on its lines
+ * @param {import('./cart').Cart} cart
+ * @returns {Map<string, number>} The savings in cents, by lowercase code
+ */
+function getDiscountSavings(cart) {
+  /** @type {Map<string, number>} */
+  const savings = new Map();
+
+  /**
+   * @param {{ type?: string, title?: string }} application
+   * @param {number} amount
+   */
+  const add = (application, amount) => {
+    if (application.type !== 'discount_code' || !application.title) return;
+
+    const code = application.title.toLowerCase();
+    savings.set(code, (savings.get(code) ?? 0) + amount);
+  };
+
+  for (const application of cart.cart_level_discount_applications ?? []) {
+    add(application, application.total_allocated_amount ?? 0);
+  }
+
+  for (const item of cart.items) {
+    for (const allocation of item.line_level_discount_allocations ?? []) {
+      add(allocation.discount_application, allocation.amount);
+    }
+  }
+
+  return savings;
+}
+
+/**
+ * Splits the codes entered by the shopper or passed in a campaign link
+ * @param {string | null} value - Codes separated by commas or spaces
+ * @returns {string[]}
+ */
+function parseDiscountCodes(value) {
+  /** @type {string[]} */
+  const codes = [];
+
+  for (const code of (value ?? '').split(/[\s,]+/)) {
+    if (code && !includesCode(codes, code)) codes.push(code);
+  }
+
+  return codes;
+}
+
+/**
+ * Discount codes are not case-sensitive
+ * @param {string[]} codes
+ * @param {string} code
+ * @returns {boolean}
+ */
+function includesCode(codes, code) {
+  const lowercaseCode = code.toLowerCase();
+  return codes.some((existingCode) => existingCode.toLowerCase() === lowercaseCode);
+}
+
+/**
+ * @param {string} key
+ * @returns {string[]}
+ */
+function getStoredCodes(key) {
+  try {
+    const codes = JSON.parse(sessionStorage.getItem(key) ?? '[]');
+    return Array.isArray(codes) ? codes : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {string} key
+ * @param {string[]} codes
+ */
+function setStoredCodes(key, codes) {
+  try {
+    if (codes.length) {
+      sessionStorage.setItem(key, JSON.stringify(codes));
+    } else {
+      sessionStorage.removeItem(key);
+    }
+  } catch {
+    // The codes are only known to this page when the storage is unavailable
+  }
+}
+
+/**
+ * @param {DiscountCodeResult[]} results
+ */
+function rememberAppliedCodes(results) {
+  const appliedCodes = getStoredCodes(APPLIED_CODES_KEY);
+
+  for (const { code, status } of results) {
+    if (status !== 'applied' && status !== 'shipping') continue;
+    if (!includesCode(appliedCodes, code)) appliedCodes.push(code);
+  }
+
+  setStoredCodes(APPLIED_CODES_KEY, appliedCodes);
+}
+
+/**
+ * A code the shopper removed is a new code when it is entered again
+ * @param {string} code
+ */
+function forgetAppliedCode(code) {
+  const lowercaseCode = code.toLowerCase();
+  const appliedCodes = getStoredCodes(APPLIED_CODES_KEY).filter(
+    (appliedCode) => appliedCode.toLowerCase() !== lowercaseCode
+  );
+
+  setStoredCodes(APPLIED_CODES_KEY, appliedCodes);
+}
+
+/**
+ * Keeps the codes of a campaign link, and removes them from the URL so a reload or a shared link does not apply them again.
+ */
+function readCampaignCodes() {
+  const url = new URL(window.location.href);
+  const codes = parseDiscountCodes(url.searchParams.get(DISCOUNT_PARAMETER));
+  if (!codes.length) return;
+
+  const pendingCodes = getStoredCodes(CAMPAIGN_CODES_KEY);
+  for (const code of codes) {
+    if (!includesCode(pendingCodes, code)) pendingCodes.push(code);
+  }
+  setStoredCodes(CAMPAIGN_CODES_KEY, pendingCodes);
+
+  url.searchParams.delete(DISCOUNT_PARAMETER);
+  history.replaceState(history.state, '', url);
+}
+
+/**
+ * Applies the campaign codes once the cart has items, so the shopper sees whether they apply.
+ * The codes are stacked with the ones the cart already has.
+ * @param {import('./cart').Cart} cart
+ */
+async function applyCampaignCodes(cart) {
+  const pendingCodes = getStoredCodes(CAMPAIGN_CODES_KEY);
+  if (!pendingCodes.length || !cart.item_count || isApplyingCampaignCodes) return;
+
+  isApplyingCampaignCodes = true;
+
+  const existingCodes = (cart.discount_codes ?? []).filter(({ applicable }) => applicable).map(({ code }) => code);
+  const codes = [...existingCodes, ...pendingCodes.filter((code) => !includesCode(existingCodes, code))];
+
+  try {
+    const { data, results } = await applyDiscountCodes(codes, { sections: getCartSectionIds() });
+
+    // Only cleared once applied, so the codes are applied again on the next cart change when the request fails
+    setStoredCodes(CAMPAIGN_CODES_KEY, []);
+
+    campaignResults = { cart: data, results: results.filter(({ code }) => includesCode(pendingCodes, code)) };
+
+    document.dispatchEvent(
+      new CartUpdateEvent(data, CAMPAIGN_SOURCE, {
+        source: CAMPAIGN_SOURCE,
+        itemCount: data.item_count,
+        sections: data.sections,
+      })
+    );
+    document.dispatchEvent(new DiscountUpdateEvent(data, CAMPAIGN_SOURCE));
+  } catch (error) {
+    console.error(error);
+  } finally {
+    isApplyingCampaignCodes = false;
+  }
+}
+
 if (!customElements.get('cart-discount-component')) {
   customElements.define('cart-discount-component', CartDiscount);
 }
+
+readCampaignCodes();
+
+if (getStoredCodes(CAMPAIGN_CODES_KEY).length) {
+  cartStore.subscribe(applyCampaignCodes);
+  cartStore
+    .get()
+    .then(applyCampaignCodes)
+    .catch(() => {});
+}
@@ -1,5 +1,6 @@
 import { DialogComponent, DialogOpenEvent } from '@theme/dialog';
 import { CartAddEvent } from '@theme/events';
+import { CAMPAIGN_SOURCE, CART_SYNC_SOURCE, PROMOTIONS_SOURCE } from '@theme/cart';
 
 /**
  * A custom element that manages a cart drawer.
@@ -25,7 +26,16 @@ class CartDrawerComponent extends DialogComponent {
     this.removeEventListener(DialogOpenEvent.eventName, this.#updateStickyState);
   }
 
-  #handleCartAdd = () => {
+  /**
+   * @param {CartAddEvent} event
+   */
+  #handleCartAdd = (event) => {
+    const source = event.detail?.data?.source;
+
+    // Carts changed in another tab, by the promotion rules or by a campaign link are re-rendered without
+    // interrupting the shopper
+    if (source === CART_SYNC_SOURCE || source === PROMOTIONS_SOURCE || source === CAMPAIGN_SOURCE) return;
+
     if (this.hasAttribute('auto-open')) {
       this.showDialog();
     }
@@ -1,6 +1,9 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart';
+
+/** @typedef {import('./cart').Cart} Cart */
+/** @typedef {import('./cart').CartChangeMeta} CartChangeMeta */
 
 /**
  * A custom element that displays a cart icon.
@@ -24,10 +27,13 @@ class CartIcon extends Component {
     this.refs.cartBubbleCount.textContent = value < 100 ? String(value) : '';
   }
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribeFromCart;
+
   connectedCallback() {
     super.connectedCallback();
 
-    document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    this.#unsubscribeFromCart = cartStore.subscribe(this.onCartUpdate);
     window.addEventListener('pageshow', this.onPageShow);
     this.ensureCartBubbleIsCorrect();
   }
@@ -35,7 +41,7 @@ class CartIcon extends Component {
   disconnectedCallback() {
     super.disconnectedCallback();
 
-    document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    this.#unsubscribeFromCart?.();
     window.removeEventListener('pageshow', this.onPageShow);
   }
 
@@ -50,14 +56,15 @@ class CartIcon extends Component {
   };
 
   /**
-   * Handles the cart update event.
-   * @param {CartUpdateEvent} event - The cart update event.
+   * Handles changes to the cart store.
+   * @param {Cart} cart - The updated cart.
+   * @param {CartChangeMeta} meta - Describes the change.
    */
-  onCartUpdate = async (event) => {
-    const itemCount = event.detail.data?.itemCount ?? 0;
-    const comingFromProductForm = event.detail.data?.source === 'product-form-component';
+  onCartUpdate = async (cart, { source }) => {
+    // Adding from a product form animates the bubble even when the count did not change
+    if (cart.item_count === this.currentCartCount && source !== 'product-form-component') return;
 
-    this.renderCartBubble(itemCount, comingFromProductForm);
+    this.renderCartBubble(cart.item_count, false);
   };
 
   /**
@@ -97,6 +104,8 @@ class CartIcon extends Component {
 
   /**
    * Checks if the cart count is correct.
+   * Changes made in other tabs reach the store through its broadcast channel, this only covers
+   * pages restored from the back/forward cache with a stale count.
    */
   ensureCartBubbleIsCorrect = () => {
     // Ensure refs are available
@@ -0,0 +1,65 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart';
+
+/**
+ * A custom element that lists the cart changes made while the shopper was offline.
+ * They are replayed by the cart store once the connection is restored.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLUListElement} list - The list of pending changes.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a pending change.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartPendingItemsComponent extends Component {
+  requiredRefs = ['list', 'itemTemplate'];
+
+  /** @type {(() => void) | null} */
+  #unsubscribe = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = cartStore.subscribePending(this.#render);
+    this.#render(cartStore.pendingOperations);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+    this.#unsubscribe = null;
+  }
+
+  /**
+   * The list is rendered on the client, so it is restored after the cart section is morphed.
+   */
+  onAfterMorph() {
+    this.#render(cartStore.pendingOperations);
+  }
+
+  /**
+   * Renders the pending changes.
+   * @param {import('./cart').PendingCartOperation[]} operations - The pending changes.
+   */
+  #render = (operations) => {
+    const { list, itemTemplate } = this.refs;
+    const items = operations.map((operation) => {
+      const fragment = /** @type {DocumentFragment} */ (itemTemplate.content.cloneNode(true));
+      const label = fragment.querySelector('[data-pending-label]');
+      const quantity = fragment.querySelector('[data-pending-quantity]');
+
+      if (label) label.textContent = operation.label || label.textContent;
+      if (quantity) quantity.textContent = `× ${operation.quantity}`;
+
+      return fragment;
+    });
+
+    list.replaceChildren(...items);
+    this.hidden = operations.length === 0;
+  };
+}
+
+if (!customElements.get('cart-pending-items-component')) {
+  customElements.define('cart-pending-items-component', CartPendingItemsComponent);
+}
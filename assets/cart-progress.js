@@ -0,0 +1,82 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart';
+import { formatCurrency } from '@theme/utilities';
+
+/**
+ * @typedef {Object} CartGoal
+ * @property {number} amount - The cart total that unlocks the reward, in cents
+ * @property {string} reward - The reward, e.g. free shipping
+ */
+
+/**
+ * A custom element that shows how far the cart is from the free shipping or gift goals of the market.
+ * The goals are rendered by Liquid, the progress follows every cart change, optimistic ones included.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} message - Tells the shopper how much more unlocks the next reward.
+ * @property {HTMLElement} track - The progress bar.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartProgressComponent extends Component {
+  requiredRefs = ['message', 'track'];
+
+  /** @type {(() => void) | null} */
+  #unsubscribe = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = cartStore.subscribe((cart) => this.#render(cart.total_price));
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+    this.#unsubscribe = null;
+  }
+
+  /**
+   * The goals of the market, from the lowest amount
+   * @returns {CartGoal[]}
+   */
+  get #goals() {
+    try {
+      const goals = JSON.parse(this.dataset.goals || '[]');
+      return Array.isArray(goals) ? goals : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @param {number} total - The cart total, in cents
+   */
+  #render(total) {
+    const { message, track } = this.refs;
+    const goals = this.#goals;
+    const lastGoal = goals[goals.length - 1];
+
+    if (!lastGoal) return;
+
+    const nextGoal = goals.find(({ amount }) => total < amount);
+    const reachedGoal = goals.filter(({ amount }) => total >= amount).pop();
+    const progress = Math.min(100, Math.floor((total * 100) / lastGoal.amount));
+
+    if (nextGoal) {
+      message.textContent = (this.dataset.messageRemaining ?? '')
+        .replace('[amount]', formatCurrency(nextGoal.amount - total))
+        .replace('[reward]', nextGoal.reward);
+    } else if (reachedGoal) {
+      message.textContent = (this.dataset.messageReached ?? '').replace('[reward]', reachedGoal.reward);
+    }
+
+    track.style.setProperty('--cart-progress', `${progress}%`);
+    track.setAttribute('aria-valuenow', String(progress));
+  }
+}
+
+if (!customElements.get('cart-progress-component')) {
+  customElements.define('cart-progress-component', CartProgressComponent);
+}
@@ -0,0 +1,69 @@
+import { Component } from '@theme/component';
+import { cartStore, isGift, GIFT_PROPERTY } from '@theme/cart';
+import { cartPromotions } from '@theme/cart-promotions';
+import { formatCurrency } from '@theme/utilities';
+
+/**
+ * A custom element that tells the shopper how much more unlocks the next gift with purchase,
+ * or that the gift was added to the cart. It stays hidden while no rule applies to the cart.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} text - The message.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartPromotionMessageComponent extends Component {
+  requiredRefs = ['text'];
+
+  /** @type {(() => void) | null} */
+  #unsubscribe = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = cartStore.subscribe(this.#render);
+    cartStore
+      .get()
+      .then(this.#render)
+      .catch(() => {});
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+    this.#unsubscribe = null;
+  }
+
+  /**
+   * The message is rendered on the client, so it is restored after the cart section is morphed.
+   */
+  onAfterMorph() {
+    if (cartStore.cart) this.#render(cartStore.cart);
+  }
+
+  /**
+   * @param {import('./cart').Cart} cart
+   */
+  #render = (cart) => {
+    const { total, reached, next } = cartPromotions.getStatus(cart);
+    const gift = cart.items.find((item) => isGift(item) && item.properties?.[GIFT_PROPERTY] === reached?.id);
+
+    let message = '';
+
+    if (next) {
+      message = (this.dataset.messageRemaining ?? '')
+        .replace('[amount]', formatCurrency(next.amount - total))
+        .replace('[gift]', next.title);
+    } else if (reached && gift?.final_line_price === 0) {
+      message = (this.dataset.messageAdded ?? '').replace('[gift]', reached.title);
+    }
+
+    this.refs.text.textContent = message;
+    this.hidden = !message;
+  };
+}
+
+if (!customElements.get('cart-promotion-message-component')) {
+  customElements.define('cart-promotion-message-component', CartPromotionMessageComponent);
+}
@@ -0,0 +1,320 @@
+import { ThemeEvents, CartUpdateEvent, eventBus } from '@theme/events';
+import {
+  cartStore,
+  getCartSectionIds,
+  isCart,
+  isGift,
+  CART_SYNC_SOURCE,
+  GIFT_PROPERTY,
+  PROMOTIONS_SOURCE,
+} from '@theme/cart';
+
+/** @typedef {import('./cart').Cart} Cart */
+/** @typedef {import('./cart').CartItem} CartItem */
+
+/**
+ * @typedef {Object} PromotionRule
+ * @property {string} id - Identifies the rule, the handle of the gift product
+ * @property {number} amount - The cart total that unlocks the gift, in cents
+ * @property {number} variant_id - The variant added as a gift
+ * @property {string} title - The title of the gift product
+ * @property {string} [product_type] - The product type the cart must contain, when the gift requires one
+ */
+
+/**
+ * @typedef {Object} PromotionStatus
+ * @property {number} total - The cart total the rules are measured against, without the gifts, in cents
+ * @property {PromotionRule | null} reached - The rule whose gift belongs in the cart
+ * @property {PromotionRule | null} next - The next rule the shopper can reach by adding to the cart
+ */
+
+/**
+ * The storage key of the gifts the shopper removed from the cart
+ */
+const DECLINED_GIFTS_KEY = 'cartDeclinedGifts';
+
+/**
+ * The storage key of the gifts that could not be added or were not free
+ */
+const FAILED_GIFTS_KEY = 'cartFailedGifts';
+
+/**
+ * The most gift changes made in a row before the rules stop, in case the cart keeps undoing them
+ */
+const MAX_CONSECUTIVE_CHANGES = 3;
+
+/**
+ * How long the gifts must stay unchanged before the changes stop counting as consecutive, in milliseconds
+ */
+const CHANGES_QUIET_PERIOD = 10 * 1000;
+
+/**
+ * Adds the gift of the highest rule the cart reaches, and removes the gifts of the rules it no longer reaches.
+ * Only one gift is in the cart at a time, the gifts are never counted toward the amounts.
+ *
+ * The gift is added at its price: an automatic discount has to make it free. A gift the discount doesn't make free
+ * is removed and not offered again during the session, so the shopper is never charged for it.
+ */
+export class CartPromotions {
+  /** @type {PromotionRule[]} */
+  #rules;
+
+  /**
+   * Whether the gifts are being changed, the cart updates it causes are not evaluated again
+   */
+  #applying = false;
+
+  /**
+   * The signature of the last cart evaluated, so the same cart is not evaluated twice
+   * @type {string | null}
+   */
+  #lastSignature = null;
+
+  /**
+   * The gift lines of the last cart evaluated, to tell when the shopper removed one
+   * @type {Set<string>}
+   */
+  #lastGiftIds = new Set();
+
+  /**
+   * How many times in a row the gifts were changed
+   */
+  #consecutiveChanges = 0;
+
+  /**
+   * When the gifts were last changed
+   */
+  #lastChangeTime = 0;
+
+  /**
+   * @param {Object} [options]
+   * @param {PromotionRule[]} [options.rules]
+   * @param {import('./events').ThemeEventBus} [options.bus] - Where the cart updates are observed
+   */
+  constructor({ rules = [], bus = eventBus } = {}) {
+    this.#rules = [...rules].sort((a, b) => a.amount - b.amount);
+
+    if (!this.#rules.length) return;
+
+    bus.subscribe(ThemeEvents.cartUpdate, this.#onCartUpdate);
+
+    cartStore
+      .get()
+      .then((cart) => this.evaluate(cart))
+      .catch(() => {});
+  }
+
+  /**
+   * The rules, from the lowest amount
+   * @returns {PromotionRule[]}
+   */
+  get rules() {
+    return this.#rules;
+  }
+
+  /**
+   * Gets the rule the cart reaches and the next one it can reach
+   * @param {Cart} cart
+   * @returns {PromotionStatus}
+   */
+  getStatus(cart) {
+    const total = cart.items.reduce((sum, item) => (isGift(item) ? sum : sum + item.final_line_price), 0);
+    const failedGifts = getStoredGifts(FAILED_GIFTS_KEY);
+    const eligibleRules = this.#rules.filter(
+      (rule) => !failedGifts.includes(rule.id) && hasProductType(cart, rule.product_type)
+    );
+
+    return {
+      total,
+      reached: eligibleRules.filter((rule) => total >= rule.amount).pop() ?? null,
+      next: eligibleRules.find((rule) => total < rule.amount) ?? null,
+    };
+  }
+
+  /**
+   * Adds or removes the gifts so the cart matches the rules
+   * @param {Cart} cart
+   * @returns {Promise<void>}
+   */
+  async evaluate(cart) {
+    if (this.#applying) return;
+
+    const signature = getSignature(cart);
+    if (signature === this.#lastSignature) return;
+    this.#lastSignature = signature;
+
+    const { reached } = this.getStatus(cart);
+    const giftLines = cart.items.filter(isGift);
+    const giftIds = new Set(giftLines.map((item) => item.properties?.[GIFT_PROPERTY] ?? ''));
+    this.#rememberDeclinedGift(giftIds, reached);
+
+    const wantedGift = reached && !getStoredGifts(DECLINED_GIFTS_KEY).includes(reached.id) ? reached : null;
+
+    const staleLines = giftLines.filter((item) => item.properties?.[GIFT_PROPERTY] !== wantedGift?.id);
+    const isGiftMissing = wantedGift && !giftIds.has(wantedGift.id);
+
+    if (!staleLines.length && !isGiftMissing) {
+      this.#consecutiveChanges = 0;
+      return;
+    }
+
+    // Changes far apart are the shopper reaching and leaving the rules, not the cart undoing the gifts
+    if (Date.now() - this.#lastChangeTime > CHANGES_QUIET_PERIOD) this.#consecutiveChanges = 0;
+
+    if (this.#consecutiveChanges >= MAX_CONSECUTIVE_CHANGES) {
+      console.warn('Cart promotions: the gifts keep changing, the rules are paused for a few seconds');
+      return;
+    }
+
+    this.#consecutiveChanges++;
+    this.#lastChangeTime = Date.now();
+    this.#applying = true;
+
+    try {
+      let sections = await this.#applyGifts(staleLines, isGiftMissing ? wantedGift : null);
+      let updatedCart = await cartStore.get();
+
+      const chargedGift = updatedCart.items.find((item) => isGift(item) && item.final_line_price > 0);
+
+      if (chargedGift) {
+        console.warn('Cart promotions: no automatic discount makes the gift free, it was removed from the cart');
+        storeGift(FAILED_GIFTS_KEY, chargedGift.properties?.[GIFT_PROPERTY] ?? '');
+
+        const response = await cartStore.change(
+          { id: chargedGift.key, quantity: 0 },
+          { sections: getCartSectionIds() }
+        );
+        sections = response.sections ?? sections;
+        updatedCart = await cartStore.get();
+      }
+
+      this.#lastSignature = getSignature(updatedCart);
+      this.#lastGiftIds = new Set(
+        updatedCart.items.filter(isGift).map((item) => item.properties?.[GIFT_PROPERTY] ?? '')
+      );
+
+      document.dispatchEvent(
+        new CartUpdateEvent(updatedCart, PROMOTIONS_SOURCE, {
+          source: PROMOTIONS_SOURCE,
+          itemCount: updatedCart.item_count,
+          sections,
+        })
+      );
+    } catch (error) {
+      console.error(error);
+    } finally {
+      this.#applying = false;
+    }
+  }
+
+  /**
+   * Removes the stale gift lines and adds the wanted gift
+   * @param {CartItem[]} staleLines
+   * @param {PromotionRule | null} gift
+   * @returns {Promise<Record<string, string> | undefined>} The cart sections rendered along with the last change
+   */
+  async #applyGifts(staleLines, gift) {
+    const options = { sections: getCartSectionIds() };
+    let sections;
+
+    for (const line of staleLines) {
+      const response = await cartStore.change({ id: line.key, quantity: 0 }, options);
+      sections = response.sections ?? sections;
+    }
+
+    if (gift) {
+      const response = await cartStore.add(
+        { items: [{ id: gift.variant_id, quantity: 1, properties: { [GIFT_PROPERTY]: gift.id } }] },
+        { ...options, label: gift.title }
+      );
+
+      if (response.status) {
+        storeGift(FAILED_GIFTS_KEY, gift.id);
+      } else {
+        sections = response.sections ?? sections;
+      }
+    }
+
+    return sections;
+  }
+
+  /**
+   * A gift that was in the last cart and is missing from this one, while the cart still reaches its rule,
+   * was removed by the shopper. It is not added again for the rest of the session.
+   * @param {Set<string>} giftIds - The gifts in the cart
+   * @param {PromotionRule | null} reached - The rule the cart reaches
+   */
+  #rememberDeclinedGift(giftIds, reached) {
+    const wasRemoved = reached && this.#lastGiftIds.has(reached.id) && !giftIds.has(reached.id);
+    this.#lastGiftIds = giftIds;
+
+    if (reached && wasRemoved) storeGift(DECLINED_GIFTS_KEY, reached.id);
+  }
+
+  /** @param {Event & { detail?: any }} event */
+  #onCartUpdate = async (event) => {
+    const { resource, data } = event.detail;
+
+    // The gifts were changed by the rules, or by the rules of another tab
+    if (data.didError || data.source === PROMOTIONS_SOURCE || data.source === CART_SYNC_SOURCE) return;
+    if (this.#applying) return;
+
+    const cart = isCart(resource) ? resource : await cartStore.get().catch(() => null);
+    if (cart) this.evaluate(cart);
+  };
+}
+
+/**
+ * Checks whether the cart contains a product of the type, when the rule requires one
+ * @param {Cart} cart
+ * @param {string} [productType]
+ * @returns {boolean}
+ */
+function hasProductType(cart, productType) {
+  if (!productType) return true;
+
+  const type = productType.toLowerCase();
+  return cart.items.some((item) => !isGift(item) && item.product_type?.toLowerCase() === type);
+}
+
+/**
+ * @param {Cart} cart
+ * @returns {string}
+ */
+function getSignature(cart) {
+  return cart.items.map((item) => `${item.key}:${item.quantity}:${item.final_line_price}`).join('|');
+}
+
+/**
+ * The gifts stored for the session: the ones the shopper removed from the cart, or the ones that failed
+ * @param {string} key
+ * @returns {string[]}
+ */
+function getStoredGifts(key) {
+  try {
+    const gifts = JSON.parse(sessionStorage.getItem(key) ?? '[]');
+    return Array.isArray(gifts) ? gifts : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Keeps a gift for the rest of the session, so it is not added again on the next pages
+ * @param {string} key
+ * @param {string} giftId
+ */
+function storeGift(key, giftId) {
+  const gifts = getStoredGifts(key);
+  if (gifts.includes(giftId)) return;
+
+  gifts.push(giftId);
+
+  try {
+    sessionStorage.setItem(key, JSON.stringify(gifts));
+  } catch {
+    // The gift is only known to this page when the storage is unavailable
+  }
+}
+
+export const cartPromotions = new CartPromotions({ rules: Theme.promotions?.rules ?? [] });
@@ -0,0 +1,48 @@
+import { Component } from '@theme/component';
+import { addItemsFromComponent, PREORDER_PROPERTY } from '@theme/cart';
+
+/**
+ * A custom element that lists the products suggested for the items in the cart.
+ * The suggestions are rendered by Liquid, so they follow the cart when the drawer is morphed on `cart:update`.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} error - The message shown when a suggestion could not be added.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartUpsellsComponent extends Component {
+  requiredRefs = ['error'];
+
+  /**
+   * Adds a suggested product to the cart, the drawer is updated with the sections of the response.
+   * @param {Event} event - The click event of the add button.
+   */
+  async addToCart(event) {
+    const button = event.target;
+    if (!(button instanceof HTMLButtonElement)) return;
+
+    const { variantId, productId, productTitle, preorder } = button.dataset;
+    if (!variantId) return;
+
+    button.disabled = true;
+    button.setAttribute('aria-busy', 'true');
+
+    try {
+      const properties = preorder ? { [PREORDER_PROPERTY]: preorder } : undefined;
+
+      await addItemsFromComponent(this, [{ id: Number(variantId), quantity: 1, properties }], {
+        source: 'cart-upsells-component',
+        error: this.refs.error,
+        label: productTitle,
+        productId,
+      });
+    } finally {
+      button.disabled = false;
+      button.removeAttribute('aria-busy');
+    }
+  }
+}
+
+if (!customElements.get('cart-upsells-component')) {
+  customElements.define('cart-upsells-component', CartUpsellsComponent);
+}
@@ -0,0 +1,907 @@
+import { fetchConfig, onDocumentLoaded } from '@theme/utilities';
+import { ThemeEvents, CartAddEvent, CartUpdateEvent, CartErrorEvent } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * The storage key of the cart mutations waiting for the connection to be restored
+ */
+const PENDING_OPERATIONS_KEY = 'cartPendingOperations';
+
+/**
+ * The source of the events dispatched when pending operations are replayed
+ */
+const PENDING_OPERATIONS_SOURCE = 'cart-offline-queue';
+
+/**
+ * The name of the channel cart changes are shared on between the tabs of the storefront
+ */
+const CART_CHANNEL_NAME = 'theme-cart';
+
+/**
+ * The source of the events dispatched when the cart was changed in another tab
+ */
+export const CART_SYNC_SOURCE = 'cart-sync';
+
+/**
+ * The source of the events dispatched when the gifts in the cart were changed by the promotion rules,
+ * see `cart-promotions.js`
+ */
+export const PROMOTIONS_SOURCE = 'cart-promotions';
+
+/**
+ * The source of the events dispatched when the discount codes of a campaign link were applied,
+ * see `cart-discount.js`
+ */
+export const CAMPAIGN_SOURCE = 'cart-discount-campaign';
+
+/**
+ * The line item property that marks the gifts added by the promotion rules, see `cart-promotions.js`.
+ * Properties starting with an underscore are not shown to the shopper at checkout.
+ */
+export const GIFT_PROPERTY = '_gift';
+
+/**
+ * The line item property of pre-orders, holds the expected ship date or `true` when none is set
+ */
+export const PREORDER_PROPERTY = '_preorder';
+
+/**
+ * @typedef {Object} CartItem
+ * @property {number} id - The variant ID of the line
+ * @property {string} key - The unique key of the line
+ * @property {number} quantity - The quantity of the line
+ * @property {number} variant_id - The variant ID of the line
+ * @property {number} product_id - The product ID of the line
+ * @property {number} price - The price of a single unit, in cents
+ * @property {number} final_price - The price of a single unit after discounts, in cents
+ * @property {number} final_line_price - The price of the line after discounts, in cents
+ * @property {Record<string, string>} [properties] - The line item properties
+ * @property {string} [product_title] - The title of the product
+ * @property {string | null} [variant_title] - The title of the variant
+ * @property {string | null} [sku] - The SKU of the variant
+ * @property {string} [vendor] - The vendor of the product
+ * @property {string} [product_type] - The type of the product
+ * @property {Array<{ amount: number, discount_application: { type?: string, title?: string } }>} [line_level_discount_allocations] - The discounts applied to the line
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {string} token - The cart token
+ * @property {number} item_count - The total quantity of items in the cart
+ * @property {number} total_price - The cart total, in cents
+ * @property {number} items_subtotal_price - The cart subtotal, in cents
+ * @property {string} currency - The ISO code of the cart currency
+ * @property {string | null} note - The cart note
+ * @property {CartItem[]} items - The cart lines
+ * @property {Array<{ code: string, applicable: boolean }>} [discount_codes] - The discount codes of the cart
+ * @property {Array<{ type?: string, title?: string, total_allocated_amount?: number }>} [cart_level_discount_applications] - The discounts applied to the whole cart
+ * @property {Record<string, string>} [sections] - Rendered sections requested along with the mutation
+ */
+
+/**
+ * @typedef {Object} CartRequestOptions
+ * @property {string[]} [sections] - The IDs of the sections to render along with the response
+ * @property {string} [sectionsUrl] - The URL the sections should be rendered for
+ * @property {AbortSignal} [signal] - A signal to abort the request
+ * @property {boolean} [optimistic] - Whether to apply the change to the store before the server confirms it
+ * @property {string} [label] - Describes the mutation to the shopper while it waits for the connection to be restored
+ * @property {string} [source] - Identifies the component that made the mutation to the store subscribers
+ */
+
+/**
+ * @typedef {Object} PendingCartOperation
+ * @property {string} id - A unique identifier of the operation
+ * @property {'add' | 'change'} type - The cart endpoint the operation is replayed against
+ * @property {Array<[string, string]> | null} entries - The form fields of the operation, when it was a form submission
+ * @property {Record<string, any> | null} body - The JSON body of the operation, when it was not a form submission
+ * @property {string} label - Describes the operation to the shopper
+ * @property {number} quantity - The quantity added, or the new quantity of the line
+ * @property {number} createdAt - When the operation was queued
+ */
+
+/**
+ * @typedef {Object} CartChangeMeta
+ * @property {boolean} optimistic - Whether the cart has not been confirmed by the server yet
+ * @property {string} [source] - The component that made the mutation, when it passed one
+ */
+
+/**
+ * @typedef {(cart: Cart, meta: CartChangeMeta) => void} CartSubscriber
+ */
+
+/**
+ * @typedef {(operations: PendingCartOperation[]) => void} PendingOperationsSubscriber
+ */
+
+/**
+ * Thrown when a cart mutation could not reach the server. The mutation is persisted and
+ * replayed once the connection is restored, unless it could not be persisted.
+ */
+export class CartOfflineError extends Error {
+  /**
+   * @param {PendingCartOperation | null} [operation] - The operation that was queued, null when it was not
+   */
+  constructor(operation = null) {
+    super(
+      operation
+        ? 'The cart could not be reached, the change will be applied once the connection is restored'
+        : 'The cart could not be reached'
+    );
+    this.name = 'CartOfflineError';
+    this.operation = operation;
+  }
+}
+
+/**
+ * Owns the canonical cart object and serializes every cart mutation through a single queue,
+ * so components share the same state instead of re-fetching `/cart.js` after each update.
+ */
+export class CartStore {
+  /**
+   * The latest known cart
+   * @type {Cart | null}
+   */
+  #cart = null;
+
+  /**
+   * The latest cart confirmed by the server, used to roll back optimistic changes
+   * @type {Cart | null}
+   */
+  #confirmedCart = null;
+
+  /**
+   * The tail of the request queue
+   * @type {Promise<unknown>}
+   */
+  #queue = Promise.resolve();
+
+  /**
+   * The in-flight `/cart.js` read, shared by concurrent callers
+   * @type {Promise<Cart> | null}
+   */
+  #pendingRead = null;
+
+  /** @type {Set<CartSubscriber>} */
+  #subscribers = new Set();
+
+  /**
+   * The mutations that failed because the shopper was offline, in the order they were made
+   * @type {PendingCartOperation[]}
+   */
+  #pendingOperations = [];
+
+  /** @type {Set<PendingOperationsSubscriber>} */
+  #pendingSubscribers = new Set();
+
+  /** @type {typeof window.fetch} */
+  #fetch;
+
+  /** @type {Storage | null} */
+  #storage;
+
+  /** @type {BroadcastChannel | null} */
+  #channel;
+
+  /**
+   * A cart received from another tab while this one was hidden, applied once it is visible again
+   * @type {Cart | null}
+   */
+  #deferredCart = null;
+
+  /**
+   * @param {Object} [options]
+   * @param {typeof window.fetch} [options.fetch] - The fetch implementation, can be replaced to run the store without a network
+   * @param {Storage | null} [options.storage] - Where the pending operations are persisted
+   * @param {BroadcastChannel | null} [options.channel] - Where cart changes are shared with the other tabs
+   */
+  constructor({ fetch = window.fetch.bind(window), storage = getLocalStorage(), channel = createChannel() } = {}) {
+    this.#fetch = fetch;
+    this.#storage = storage;
+    this.#channel = channel;
+    this.#pendingOperations = this.#loadPendingOperations();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    document.addEventListener('visibilitychange', this.#applyDeferredCart);
+    window.addEventListener('online', () => this.replay());
+    this.#channel?.addEventListener('message', this.#onBroadcast);
+
+    onDocumentLoaded(() => {
+      if (navigator.onLine) this.replay();
+    });
+  }
+
+  /**
+   * The latest known cart, or null if it has not been loaded yet
+   * @returns {Cart | null}
+   */
+  get cart() {
+    return this.#cart;
+  }
+
+  /**
+   * The mutations waiting for the connection to be restored, in the order they will be replayed
+   * @returns {PendingCartOperation[]}
+   */
+  get pendingOperations() {
+    return [...this.#pendingOperations];
+  }
+
+  /**
+   * Gets the cart, fetching it if it has not been loaded yet
+   * @returns {Promise<Cart>}
+   */
+  get() {
+    if (this.#cart) return Promise.resolve(this.#cart);
+
+    return this.refresh();
+  }
+
+  /**
+   * Fetches the cart from the server once every queued mutation has settled.
+   * Concurrent calls share the same request.
+   * @returns {Promise<Cart>}
+   */
+  refresh() {
+    if (this.#pendingRead) return this.#pendingRead;
+
+    const read = this.#enqueue(() => this.#read());
+    const clear = () => {
+      if (this.#pendingRead === read) this.#pendingRead = null;
+    };
+
+    this.#pendingRead = read;
+    read.then(clear, clear);
+
+    return read;
+  }
+
+  /**
+   * Adds one or more items to the cart.
+   * When the server cannot be reached, the items are queued and the promise rejects with a `CartOfflineError`.
+   * @param {FormData | { items: Array<{ id: number | string, quantity: number, properties?: Record<string, string> }> }} body - The product form data or the items to add
+   * @param {CartRequestOptions} [options]
+   * @returns {Promise<any>} The `/cart/add.js` response
+   */
+  add(body, options) {
+    return this.#enqueue(async () => {
+      const data = await this.#mutate('add', body, options);
+
+      // The add endpoint responds with the added items, so the cart has to be read again
+      if (!data.status) this.#broadcast(await this.#read(options?.source));
+
+      return data;
+    });
+  }
+
+  /**
+   * Changes the quantity or properties of a single line.
+   * With the `optimistic` option, the quantity change is applied to the store right away and
+   * rolled back to the last confirmed cart if the request fails. When the server cannot be reached,
+   * the change is queued, kept in the store and the promise rejects with a `CartOfflineError`.
+   * @param {{ line?: number, id?: number | string, quantity?: number, properties?: Record<string, string> }} body
+   * @param {CartRequestOptions} [options]
+   * @returns {Promise<any>} The `/cart/change.js` response
+   */
+  change(body, options = {}) {
+    const { optimistic = false, source } = options;
+
+    if (optimistic && this.#cart && body.line && body.quantity !== undefined) {
+      this.#setCart(applyLineQuantity(this.#cart, body.line, body.quantity), true, source);
+    }
+
+    return this.#enqueue(async () => {
+      let data;
+
+      try {
+        data = await this.#mutate('change', body, options);
+      } catch (error) {
+        if (optimistic && !(error instanceof CartOfflineError)) this.#rollback();
+        throw error;
+      }
+
+      if (isCart(data)) {
+        this.#setCart(data, false, source);
+        this.#broadcast(data);
+      } else if (optimistic) {
+        this.#rollback();
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Updates quantities, the note, attributes or discount codes of the cart
+   * @param {{ updates?: Record<string, number>, note?: string, attributes?: Record<string, string>, discount?: string }} body
+   * @param {CartRequestOptions} [options]
+   * @returns {Promise<any>} The `/cart/update.js` response
+   */
+  update(body, options) {
+    return this.#enqueue(async () => {
+      const data = await this.#post(`${Theme.routes.cart_update_url}.js`, body, options);
+
+      if (isCart(data)) {
+        this.#setCart(data, false, options?.source);
+        this.#broadcast(data);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Subscribes to cart changes
+   * @param {CartSubscriber} callback - Called with the new cart every time it changes
+   * @returns {() => void} A function that removes the subscription
+   */
+  subscribe(callback) {
+    this.#subscribers.add(callback);
+
+    return () => {
+      this.#subscribers.delete(callback);
+    };
+  }
+
+  /**
+   * Subscribes to changes of the pending operations
+   * @param {PendingOperationsSubscriber} callback - Called with the pending operations every time they change
+   * @returns {() => void} A function that removes the subscription
+   */
+  subscribePending(callback) {
+    this.#pendingSubscribers.add(callback);
+
+    return () => {
+      this.#pendingSubscribers.delete(callback);
+    };
+  }
+
+  /**
+   * Replays the pending operations in order, once every queued mutation has settled
+   * @returns {Promise<void>}
+   */
+  replay() {
+    return this.#enqueue(() => this.#replayPendingOperations());
+  }
+
+  /**
+   * Runs a task once every previously queued task has settled
+   * @template T
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  #enqueue(task) {
+    const result = this.#queue.then(task);
+    this.#queue = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * Reads the cart from the server, bypassing the queue
+   * @param {string} [source] - The component whose mutation is read back
+   * @returns {Promise<Cart>}
+   */
+  async #read(source) {
+    const response = await this.#fetch(`${Theme.routes.cart_url}.js`, { headers: { Accept: 'application/json' } });
+    const cart = await response.json();
+
+    this.#setCart(cart, false, source);
+
+    return cart;
+  }
+
+  /**
+   * Posts a cart mutation
+   * @param {string} url - The endpoint
+   * @param {FormData | Object} body - The request body
+   * @param {CartRequestOptions} [options]
+   * @returns {Promise<any>} The parsed response
+   */
+  async #post(url, body, options = {}) {
+    const { sections, sectionsUrl, signal } = options;
+    let config;
+
+    if (body instanceof FormData) {
+      if (sections?.length) body.set('sections', sections.join(','));
+      if (sectionsUrl) body.set('sections_url', sectionsUrl);
+
+      config = fetchConfig('javascript', { body });
+    } else {
+      config = fetchConfig('json', {
+        body: JSON.stringify({
+          ...body,
+          ...(sections?.length && { sections: sections.join(',') }),
+          ...(sectionsUrl && { sections_url: sectionsUrl }),
+        }),
+      });
+    }
+
+    const response = await this.#fetch(url, { ...config, signal });
+
+    return response.json();
+  }
+
+  /**
+   * Posts an add or change mutation, queuing it when the server cannot be reached.
+   * Mutations made while earlier ones are still pending are queued behind them to keep their order.
+   * @param {PendingCartOperation['type']} type
+   * @param {FormData | Object} body
+   * @param {CartRequestOptions} [options]
+   * @returns {Promise<any>} The parsed response
+   */
+  async #mutate(type, body, options = {}) {
+    if (this.#pendingOperations.length) await this.#replayPendingOperations();
+
+    if (!this.#pendingOperations.length && navigator.onLine) {
+      try {
+        return await this.#post(getMutationUrl(type), body, options);
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+      }
+    }
+
+    // Files cannot be persisted, and replaying the mutation without them would add something else
+    if (body instanceof FormData && Array.from(body.values()).some((value) => typeof value !== 'string')) {
+      throw new CartOfflineError();
+    }
+
+    const operation = this.#createPendingOperation(type, body, options);
+
+    this.#setPendingOperations([...this.#pendingOperations, operation]);
+
+    throw new CartOfflineError(operation);
+  }
+
+  /**
+   * Sends the pending operations one by one, stopping at the first one that cannot reach the server
+   */
+  async #replayPendingOperations() {
+    while (this.#pendingOperations.length && navigator.onLine) {
+      const [operation] = this.#pendingOperations;
+      if (!operation) return;
+
+      const body = operation.entries ? toFormData(operation.entries) : { ...operation.body };
+      const sections = getCartSectionIds();
+      let data;
+
+      try {
+        data = await this.#post(getMutationUrl(operation.type), body, {
+          sections,
+          sectionsUrl: window.location.pathname,
+        });
+      } catch (error) {
+        if (isNetworkError(error)) return;
+
+        console.error(error);
+      }
+
+      this.#setPendingOperations(this.#pendingOperations.filter(({ id }) => id !== operation.id));
+
+      if (!data || data.status || data.errors) {
+        document.dispatchEvent(
+          new CartErrorEvent(
+            PENDING_OPERATIONS_SOURCE,
+            data?.message ?? '',
+            data?.description ?? data?.message ?? '',
+            data?.errors ?? {}
+          )
+        );
+        continue;
+      }
+
+      const eventData = { source: PENDING_OPERATIONS_SOURCE, itemCount: operation.quantity, sections: data.sections };
+
+      if (operation.type === 'add') {
+        const cart = await this.#read();
+        this.#broadcast(cart);
+        document.dispatchEvent(new CartAddEvent(cart, PENDING_OPERATIONS_SOURCE, eventData));
+      } else if (isCart(data)) {
+        this.#setCart(data);
+        this.#broadcast(data);
+        document.dispatchEvent(new CartUpdateEvent(data, PENDING_OPERATIONS_SOURCE, eventData));
+      }
+    }
+  }
+
+  /**
+   * Serializes a mutation so it can be persisted until the connection is restored
+   * @param {PendingCartOperation['type']} type
+   * @param {FormData | Object} body
+   * @param {CartRequestOptions} options
+   * @returns {PendingCartOperation}
+   */
+  #createPendingOperation(type, body, options) {
+    /** @type {Array<[string, string]> | null} */
+    let entries = null;
+    /** @type {Record<string, any> | null} */
+    let json = null;
+    let quantity = 1;
+
+    if (body instanceof FormData) {
+      entries = [];
+
+      for (const [name, value] of body) {
+        // Mutations with files are never queued, and sections are requested again when the operation is replayed
+        if (typeof value !== 'string' || name === 'sections' || name === 'sections_url') continue;
+
+        entries.push([name, value]);
+      }
+
+      quantity = Number(body.get('quantity')) || 1;
+    } else {
+      json = { ...body };
+
+      // Lines are addressed by their key, since line numbers may have shifted by the time the change is replayed
+      const item = json.line ? this.#confirmedCart?.items[json.line - 1] : undefined;
+
+      if (item) {
+        delete json.line;
+        json.id = item.key;
+      }
+
+      if (typeof json.quantity === 'number') {
+        quantity = json.quantity;
+      } else if (Array.isArray(json.items)) {
+        quantity = json.items.reduce((total, entry) => total + (Number(entry.quantity) || 1), 0);
+      }
+    }
+
+    return {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      type,
+      entries,
+      body: json,
+      label: options.label ?? '',
+      quantity,
+      createdAt: Date.now(),
+    };
+  }
+
+  /**
+   * Reads the pending operations persisted by a previous page
+   * @returns {PendingCartOperation[]}
+   */
+  #loadPendingOperations() {
+    try {
+      const operations = JSON.parse(this.#storage?.getItem(PENDING_OPERATIONS_KEY) || '[]');
+
+      return Array.isArray(operations) ? operations : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Replaces and persists the pending operations, and notifies subscribers
+   * @param {PendingCartOperation[]} operations
+   */
+  #setPendingOperations(operations) {
+    this.#pendingOperations = operations;
+
+    try {
+      if (operations.length) {
+        this.#storage?.setItem(PENDING_OPERATIONS_KEY, JSON.stringify(operations));
+      } else {
+        this.#storage?.removeItem(PENDING_OPERATIONS_KEY);
+      }
+    } catch (error) {
+      // The operations are kept in memory when storage is full or unavailable
+      console.error(error);
+    }
+
+    for (const subscriber of this.#pendingSubscribers) {
+      try {
+        subscriber(this.pendingOperations);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+
+  /**
+   * Replaces the canonical cart and notifies subscribers
+   * @param {Cart} cart
+   * @param {boolean} [optimistic] - Whether the cart has not been confirmed by the server yet
+   * @param {string} [source] - The component that made the mutation
+   */
+  #setCart(cart, optimistic = false, source) {
+    if (!optimistic) this.#confirmedCart = cart;
+    if (cart === this.#cart) return;
+
+    this.#cart = cart;
+
+    for (const subscriber of this.#subscribers) {
+      try {
+        subscriber(cart, { optimistic, source });
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+
+  /**
+   * Shares a cart confirmed by the server with the other tabs
+   * @param {Cart} cart
+   */
+  #broadcast(cart) {
+    // Rendered sections only apply to the page that requested them
+    const { sections, ...rest } = cart;
+
+    try {
+      this.#channel?.postMessage({ cart: rest });
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Applies a cart changed in another tab, and lets the components re-render their sections.
+   * Hidden tabs wait until they are visible again, so they do not render sections nobody sees.
+   * @param {MessageEvent} event
+   */
+  #onBroadcast = (event) => {
+    const cart = event.data?.cart;
+    if (!isCart(cart)) return;
+
+    if (document.visibilityState === 'hidden') {
+      this.#deferredCart = cart;
+      return;
+    }
+
+    this.#applyRemoteCart(cart);
+  };
+
+  /**
+   * Applies the last cart received while the tab was hidden
+   */
+  #applyDeferredCart = () => {
+    if (document.visibilityState === 'hidden' || !this.#deferredCart) return;
+
+    const cart = this.#deferredCart;
+    this.#deferredCart = null;
+
+    this.#applyRemoteCart(cart);
+  };
+
+  /**
+   * @param {Cart} cart - A cart changed in another tab
+   */
+  async #applyRemoteCart(cart) {
+    if (this.#cart && getCartSignature(this.#cart) === getCartSignature(cart)) return;
+
+    this.#setCart(cart);
+
+    // Every cart section is rendered in a single request. If that fails, the cart components
+    // re-render themselves through the section renderer.
+    const sections = await sectionRenderer
+      .getSectionsHTML(getCartSectionIds(), { cache: false })
+      .catch(() => undefined);
+
+    document.dispatchEvent(
+      new CartUpdateEvent(cart, CART_SYNC_SOURCE, { source: CART_SYNC_SOURCE, itemCount: cart.item_count, sections })
+    );
+  }
+
+  /**
+   * Restores the last cart confirmed by the server
+   */
+  #rollback() {
+    if (this.#confirmedCart) this.#setCart(this.#confirmedCart);
+  }
+
+  /**
+   * Keeps the store in sync with cart updates made outside of it, e.g. by apps or inline scripts
+   * @param {Event} event
+   */
+  #onCartUpdate = (event) => {
+    const resource = /** @type {CustomEvent} */ (event).detail?.resource;
+
+    if (resource === this.#cart) return;
+
+    if (isCart(resource)) {
+      this.#setCart(resource);
+    } else {
+      this.refresh().catch(() => {});
+    }
+  };
+}
+
+/**
+ * Gets the endpoint of a cart mutation
+ * @param {PendingCartOperation['type']} type
+ * @returns {string}
+ */
+function getMutationUrl(type) {
+  return type === 'add' ? Theme.routes.cart_add_url : `${Theme.routes.cart_change_url}.js`;
+}
+
+/**
+ * Checks whether a request failed because the server could not be reached, rather than being aborted
+ * or answered with an error. `fetch` rejects with a `TypeError` on network failures.
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+function isNetworkError(error) {
+  return error instanceof TypeError;
+}
+
+/**
+ * Rebuilds the form data of a persisted operation
+ * @param {Array<[string, string]>} entries
+ * @returns {FormData}
+ */
+function toFormData(entries) {
+  const formData = new FormData();
+
+  for (const [name, value] of entries) formData.append(name, value);
+
+  return formData;
+}
+
+/**
+ * Opens the channel cart changes are shared on, in browsers that support it
+ * @returns {BroadcastChannel | null}
+ */
+function createChannel() {
+  return 'BroadcastChannel' in window ? new BroadcastChannel(CART_CHANNEL_NAME) : null;
+}
+
+/**
+ * Summarizes the parts of a cart that are rendered, to skip re-rendering identical carts
+ * @param {Cart} cart
+ * @returns {string}
+ */
+function getCartSignature(cart) {
+  const lines = cart.items.map((item) => `${item.key}:${item.quantity}:${item.final_line_price}`);
+
+  return [cart.token, cart.item_count, cart.total_price, cart.note, ...lines].join('|');
+}
+
+/**
+ * Gets the local storage, which is unavailable in some privacy modes
+ * @returns {Storage | null}
+ */
+function getLocalStorage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Creates a copy of the cart with the quantity of a line changed, and its totals adjusted accordingly
+ * @param {Cart} cart
+ * @param {number} line - The 1-based index of the line
+ * @param {number} quantity - The new quantity of the line
+ * @returns {Cart}
+ */
+function applyLineQuantity(cart, line, quantity) {
+  const item = cart.items[line - 1];
+  if (!item) return cart;
+
+  const unitPrice = item.final_price ?? item.final_line_price / item.quantity;
+  const lineDelta = unitPrice * quantity - item.final_line_price;
+  const items = cart.items.map((cartItem) =>
+    cartItem === item ? { ...item, quantity, final_line_price: unitPrice * quantity } : cartItem
+  );
+
+  return {
+    ...cart,
+    items: quantity > 0 ? items : items.filter((cartItem) => cartItem.key !== item.key),
+    item_count: cart.item_count + quantity - item.quantity,
+    items_subtotal_price: cart.items_subtotal_price + lineDelta,
+    total_price: cart.total_price + lineDelta,
+  };
+}
+
+/**
+ * Checks whether a response is a cart object
+ * @param {any} data
+ * @returns {data is Cart}
+ */
+export function isCart(data) {
+  return typeof data?.token === 'string' && Array.isArray(data.items);
+}
+
+/**
+ * @param {CartItem} item
+ * @returns {boolean} Whether the line is a gift added by the promotion rules
+ */
+export function isGift(item) {
+  return Boolean(item.properties?.[GIFT_PROPERTY]);
+}
+
+/**
+ * Whether adding the items would mix pre-orders and in-stock items in the cart, when the theme keeps pre-orders
+ * in separate orders. Gifts added by the promotions are not counted. When the cart can't be loaded, the server
+ * has the last word.
+ * @param {Array<{ properties?: Record<string, string> }>} items - The items to add
+ * @returns {Promise<boolean>}
+ */
+export async function isMixingPreorders(items) {
+  if (!Theme.preorders?.separate) return false;
+
+  const cart = await cartStore.get().catch(() => null);
+  const lines = [...(cart?.items ?? []).filter((item) => !isGift(item)), ...items];
+
+  return new Set(lines.map((line) => Boolean(line.properties?.[PREORDER_PROPERTY]))).size > 1;
+}
+
+/**
+ * Adds items to the cart from a component, e.g. the add button of a product suggestion, with the cart sections
+ * rendered along. The cart events are dispatched from the component, and the error is shown in its message
+ * element: the error of the cart, that pre-orders can't be in the same cart as in-stock items, or that the items
+ * will be added once the shopper is back online.
+ * @param {HTMLElement} component - The component the items are added from
+ * @param {Array<{ id: number, quantity: number, properties?: Record<string, string> }>} items - The items to add,
+ * pre-orders with the `PREORDER_PROPERTY` property
+ * @param {Object} options
+ * @param {string} options.source - Identifies the component in the cart events
+ * @param {HTMLElement} options.error - The element the error is shown in
+ * @param {string} [options.label] - Describes the items to the shopper while they wait to be added
+ * @param {string} [options.productId] - The product the items were added from
+ * @returns {Promise<boolean>} Whether the items were added
+ */
+export async function addItemsFromComponent(component, items, { source, error, label, productId }) {
+  /** @param {string} message */
+  const showError = (message) => {
+    error.textContent = message;
+    error.hidden = false;
+  };
+
+  error.hidden = true;
+
+  if (await isMixingPreorders(items)) {
+    showError(Theme.translations.preorder_mixed_cart ?? '');
+    return false;
+  }
+
+  try {
+    const response = await cartStore.add({ items }, { sections: getCartSectionIds(), label });
+
+    if (response.status) {
+      showError(response.message);
+      component.dispatchEvent(
+        new CartErrorEvent(component.id, response.message, response.description, response.errors)
+      );
+      return false;
+    }
+
+    component.dispatchEvent(
+      new CartAddEvent(cartStore.cart ?? {}, component.id, {
+        source,
+        itemCount: items.reduce((count, item) => count + item.quantity, 0),
+        productId,
+        sections: response.sections,
+      })
+    );
+    return true;
+  } catch (cartError) {
+    if (cartError instanceof CartOfflineError) {
+      showError(Theme.translations.cart_offline_pending ?? '');
+    } else {
+      console.error(cartError);
+    }
+    return false;
+  }
+}
+
+/**
+ * Gets the section IDs of every cart items component on the page, so they can be
+ * rendered along with a cart mutation
+ * @returns {string[]}
+ */
+export function getCartSectionIds() {
+  const sectionIds = new Set();
+
+  for (const component of document.querySelectorAll('cart-items-component')) {
+    if (component instanceof HTMLElement && component.dataset.sectionId) {
+      sectionIds.add(component.dataset.sectionId);
+    }
+  }
+
+  return /** @type {string[]} */ ([...sectionIds]);
+}
+
+export const cartStore = new CartStore();
@@ -1,16 +1,19 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import { debounce, formatCurrency, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
   CartUpdateEvent,
   QuantitySelectorUpdateEvent,
   CartAddEvent,
+  CartErrorEvent,
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartStore, getCartSectionIds, CartOfflineError } from '@theme/cart';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
+/** @typedef {import('./cart').Cart} Cart */
 
 /**
  * A custom element that displays a cart items component.
@@ -61,6 +64,10 @@ class CartItemsComponent extends Component {
       quantity,
       action: 'change',
     });
+
+    // Optimistic updates render the new line price right away, so there is nothing to shimmer
+    if (this.optimistic) return;
+
     const lineItemRow = this.refs.cartItemRows[line - 1];
 
     if (!lineItemRow) return;
@@ -90,18 +97,48 @@ class CartItemsComponent extends Component {
       ...this.refs.cartItemRows.filter((row) => row.dataset.parentKey === cartItemRowToRemove.dataset.key),
     ];
 
-    // Add class to the row to trigger the animation
     rowsToRemove.forEach((row) => {
-      const remove = () => row.remove();
+      // Optimistically removed rows are only hidden, so they can be restored if the removal fails
+      this.#animateRowExit(row, this.optimistic ? () => (row.hidden = true) : () => row.remove());
+    });
+  }
 
-      if (prefersReducedMotion()) return remove();
+  /**
+   * Animates the exit of the rows the morph removes, e.g. lines removed in another tab,
+   * and lets the rows that are already animating finish before they are removed.
+   * @param {Node} node - The node about to be removed.
+   * @returns {boolean | void} False when the row removes itself once its animation ends.
+   */
+  onBeforeRemove(node) {
+    if (!(node instanceof HTMLTableRowElement) || !this.refs.cartItemRows?.includes(node)) return;
+    if (node.hidden || prefersReducedMotion()) return;
 
-      row.style.setProperty('--row-height', `${row.clientHeight}px`);
-      row.classList.add('removing');
+    // The row no longer counts as a line, so line numbers match the new cart
+    node.removeAttribute('ref');
 
-      // Remove the row after the animation ends
-      onAnimationEnd(row, remove);
-    });
+    if (node.classList.contains('removing')) {
+      onAnimationEnd(node, () => node.remove());
+    } else {
+      this.#animateRowExit(node, () => node.remove());
+    }
+
+    return false;
+  }
+
+  /**
+   * Plays the exit animation of a row.
+   * @param {HTMLElement} row - The row.
+   * @param {() => void} remove - Removes the row once the animation ends.
+   */
+  #animateRowExit(row, remove) {
+    if (prefersReducedMotion()) return remove();
+
+    // Add class to the row to trigger the animation
+    row.style.setProperty('--row-height', `${row.clientHeight}px`);
+    row.classList.add('removing');
+
+    // Remove the row after the animation ends
+    onAnimationEnd(row, remove);
   }
 
   /**
@@ -113,43 +150,40 @@ class CartItemsComponent extends Component {
    */
   updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
+    const { optimistic } = this;
 
-    this.#disableCartItems();
+    if (!optimistic) this.#disableCartItems();
 
     const { line, quantity } = config;
     const { cartTotal } = this.refs;
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
+    const sectionsToUpdate = new Set([this.sectionId, ...getCartSectionIds()]);
 
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
-    });
+    if (!optimistic) cartTotal?.shimmer();
 
-    cartTotal?.shimmer();
+    const label = this.refs.cartItemRows[line - 1]?.querySelector('.cart-items__title')?.textContent?.trim();
+    const request = cartStore.change(
+      { line, quantity },
+      { sections: [...sectionsToUpdate], sectionsUrl: window.location.pathname, optimistic, label }
+    );
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
+    // The store applied the change right away, render it while the request is in flight
+    if (optimistic && cartStore.cart) this.#renderCartValues(cartStore.cart);
 
+    request
+      .then((parsedResponseText) => {
         resetShimmer(this);
 
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
+        if (parsedResponseText.errors || parsedResponseText.status) {
+          this.#handleCartError(line, {
+            errors: parsedResponseText.errors || parsedResponseText.description || parsedResponseText.message,
+          });
+          if (optimistic) this.#rollback(parsedResponseText.message, parsedResponseText.description);
           return;
         }
 
+        if (optimistic) this.#handleQuantityCap(line, quantity, parsedResponseText);
+
         const newSectionHTML = new DOMParser().parseFromString(
           parsedResponseText.sections[this.sectionId],
           'text/html'
@@ -175,7 +209,17 @@ class CartItemsComponent extends Component {
         this.#updateCartQuantitySelectorButtonStates();
       })
       .catch((error) => {
+        // The change is replayed once the shopper is back online, so the optimistic values are kept
+        if (error instanceof CartOfflineError) return;
+
         console.error(error);
+
+        if (optimistic) {
+          const message = this.dataset.updateError ?? '';
+
+          this.#handleCartError(line, { errors: message });
+          this.#rollback(message, error.message);
+        }
       })
       .finally(() => {
         this.#enableCartItems();
@@ -183,6 +227,86 @@ class CartItemsComponent extends Component {
       });
   }
 
+  /**
+   * Renders the line quantities, line prices and the cart total of a cart that may not be confirmed
+   * by the server yet, so the shopper sees the result of a change without waiting for the round-trip.
+   * @param {Cart} cart - The cart to render.
+   */
+  #renderCartValues(cart) {
+    const { cartTotal } = this.refs;
+    const { money_format, money_with_currency_format } = Theme.currency;
+    const lineFormat = this.dataset.currencyCodeItems === 'true' ? money_with_currency_format : money_format;
+    const totalFormat = this.dataset.currencyCodeTotal === 'true' ? money_with_currency_format : money_format;
+
+    for (const row of this.refs.cartItemRows) {
+      const item = cart.items.find((cartItem) => cartItem.key === row.dataset.key);
+      if (!item) continue;
+
+      const quantityInput = row.querySelector('input[data-cart-line]');
+      if (quantityInput instanceof HTMLInputElement) quantityInput.value = item.quantity.toString();
+
+      const linePrice = row.querySelector('.cart-items__price text-component');
+      if (linePrice) {
+        const price = formatCurrency(item.final_line_price, lineFormat);
+
+        linePrice.textContent = price;
+        linePrice.setAttribute('value', price);
+      }
+    }
+
+    if (cartTotal) {
+      const total = formatCurrency(cart.total_price, totalFormat);
+
+      cartTotal.textContent = total;
+      cartTotal.setAttribute('value', total);
+    }
+  }
+
+  /**
+   * Restores the cart to its last confirmed state after an optimistic update failed.
+   * @param {string} message - The error message.
+   * @param {string} [description] - The error description.
+   */
+  #rollback(message, description) {
+    for (const row of this.refs.cartItemRows) {
+      row.hidden = false;
+      row.classList.remove('removing');
+    }
+
+    if (cartStore.cart) this.#renderCartValues(cartStore.cart);
+
+    this.dispatchEvent(new CartErrorEvent(this.sectionId, message, description ?? message, {}));
+  }
+
+  /**
+   * Lets the shopper know when the server capped the quantity of a line, e.g. due to inventory.
+   * @param {number} line - The line.
+   * @param {number} requestedQuantity - The quantity the shopper asked for.
+   * @param {Cart} cart - The cart returned by the server.
+   */
+  #handleQuantityCap(line, requestedQuantity, cart) {
+    const key = this.refs.cartItemRows[line - 1]?.dataset.key;
+    const item = cart.items.find((cartItem) => cartItem.key === key);
+
+    if (!item || item.quantity >= requestedQuantity) return;
+
+    const message = (this.dataset.quantityErrorMax ?? '').replace('{{ maximum }}', item.quantity.toString());
+
+    this.dispatchEvent(new CartErrorEvent(this.sectionId, message, message, {}));
+
+    // The section is morphed right after, so the error is shown once the new markup is in place
+    requestAnimationFrame(() => {
+      const index = cart.items.indexOf(item) + 1;
+      const cartItemError = this.refs[`cartItemError-${index}`];
+      const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${index}`];
+
+      if (!(cartItemError instanceof HTMLElement) || !(cartItemErrorContainer instanceof HTMLElement)) return;
+
+      cartItemError.textContent = message;
+      cartItemErrorContainer.classList.remove('hidden');
+    });
+  }
+
   /**
    * Handles the discount update.
    * @param {DiscountUpdateEvent} event - The event.
@@ -222,7 +346,7 @@ class CartItemsComponent extends Component {
    */
   #handleCartUpdate = (event) => {
     if (event instanceof DiscountUpdateEvent) {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      this.#renderCartSections();
       return;
     }
     if (event.target === this) return;
@@ -234,10 +358,19 @@ class CartItemsComponent extends Component {
       // Update button states for all cart quantity selectors after morph
       this.#updateCartQuantitySelectorButtonStates();
     } else {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      this.#renderCartSections();
     }
   };
 
+  /**
+   * Renders every cart section of the page, e.g. the header with the cart drawer and the cart page, in one request.
+   * Each cart items component asks for the same sections: the identical requests are shared, and only the last
+   * render morphs them.
+   */
+  #renderCartSections() {
+    sectionRenderer.renderSections(getCartSectionIds(), { cache: false }).catch((error) => console.error(error));
+  }
+
   /**
    * Disables the cart items.
    */
@@ -287,6 +420,14 @@ class CartItemsComponent extends Component {
     }
   }
 
+  /**
+   * Whether quantity changes are rendered before the server confirms them.
+   * @returns {boolean}
+   */
+  get optimistic() {
+    return this.hasAttribute('optimistic');
+  }
+
   /**
    * Gets the section id.
    * @returns {string} The section id.
@@ -26,6 +26,12 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered when predictive search results are shown for a query */
+  static predictiveSearch = 'predictive-search:query';
+  /** @static @constant {string} Event triggered when a quick add modal is opened */
+  static quickAddOpen = 'quick-add:open';
+  /** @static @constant {string} Event triggered when the recently viewed products change */
+  static recentlyViewedUpdate = 'recently-viewed:update';
 }
 
 /**
@@ -64,11 +70,13 @@ export class VariantUpdateEvent extends Event {
    * @param {string} [resource.featured_media.preview_image.src] - The src URL of the preview image
    * @param {string} sourceId - The id of the element the action was triggered from
    * @param {Object} data - Additional event data
-   * @param {Document} data.html - The new document fragment for the variant
+   * @param {Document} [data.html] - The new document fragment for the variant. Missing when the variant was resolved
+   * from the product data of the page, the fragment then follows in a second event with `background` set.
    * @param {string} data.productId - The product ID of the updated variant, used to ensure the correct product form is updated
    * @param {Object} [data.newProduct] - If a new product was loaded as part of the variant update (combined listing)
    * @param {string} data.newProduct.id - The id of the new product
    * @param {string} data.newProduct.url - The url of the new product
+   * @param {boolean} [data.background] - Whether the event only brings the fragment of a variant already updated
    */
   constructor(resource, sourceId, data) {
     super(ThemeEvents.variantUpdate, { bubbles: true });
@@ -79,6 +87,7 @@ export class VariantUpdateEvent extends Event {
         html: data.html,
         productId: data.productId,
         newProduct: data.newProduct,
+        background: data.background ?? false,
       },
     };
   }
@@ -288,3 +297,324 @@ export class FilterUpdateEvent extends Event {
     return [...this.detail.queryParams.entries()].filter(([key]) => key.startsWith('filter.')).length > 0;
   }
 }
+
+/**
+ * Event class for predictive search queries
+ * @extends {Event}
+ */
+export class PredictiveSearchEvent extends Event {
+  /**
+   * Creates a new PredictiveSearchEvent
+   * @param {string} searchTerm - The query the results were shown for
+   */
+  constructor(searchTerm) {
+    super(ThemeEvents.predictiveSearch, { bubbles: true });
+    this.detail = {
+      searchTerm,
+    };
+  }
+}
+
+/**
+ * Event class for quick add modals being opened
+ * @extends {Event}
+ */
+export class QuickAddOpenEvent extends Event {
+  /**
+   * Creates a new QuickAddOpenEvent
+   * @param {Object} resource - The product shown in the modal
+   * @param {string} [resource.id] - The id of the product
+   * @param {string} resource.title - The title of the product
+   * @param {string} resource.url - The url of the product
+   */
+  constructor(resource) {
+    super(ThemeEvents.quickAddOpen, { bubbles: true });
+    this.detail = {
+      resource,
+    };
+  }
+}
+
+/**
+ * Event class for changes to the recently viewed products
+ * @extends {Event}
+ */
+export class RecentlyViewedUpdateEvent extends Event {
+  /**
+   * Creates a new RecentlyViewedUpdateEvent
+   * @param {import('./recently-viewed-products').RecentlyViewedProduct[]} products - The viewed products, most recent first
+   */
+  constructor(products) {
+    super(ThemeEvents.recentlyViewedUpdate, { bubbles: true });
+    this.detail = {
+      products,
+    };
+  }
+}
+
+/**
+ * Describes the `detail` of an event: each key is a dot-separated path into the detail, each value the
+ * expected type. Types can be combined with `|`, and a `?` suffix makes the path optional.
+ * @typedef {Record<string, string>} EventSchema
+ * @example
+ * { sourceId: 'string', data: 'object', 'data.itemCount': 'number?' }
+ */
+
+/**
+ * @typedef {(event: Event & { detail?: any }) => void} ThemeEventSubscriber
+ */
+
+/**
+ * @typedef {Object} ThemeEventSubscribeOptions
+ * @property {boolean} [replay] - Whether to call the subscriber right away with the last event of each matching
+ * replayed type
+ * @property {AbortSignal} [signal] - A signal that removes the subscription when aborted
+ */
+
+/**
+ * The payload schemas of the theme events
+ * @type {Record<string, EventSchema>}
+ */
+const EVENT_SCHEMAS = {
+  [ThemeEvents.variantSelected]: { resource: 'object', 'resource.id': 'string|number' },
+  [ThemeEvents.variantUpdate]: {
+    resource: 'object|null',
+    sourceId: 'string',
+    data: 'object',
+    'data.html': 'object?',
+  },
+  [ThemeEvents.cartUpdate]: {
+    resource: 'object?',
+    sourceId: 'string?',
+    data: 'object',
+    'data.source': 'string?',
+    'data.itemCount': 'number?',
+    'data.didError': 'boolean?',
+    'data.sections': 'object?',
+  },
+  [ThemeEvents.cartError]: { sourceId: 'string', data: 'object', 'data.message': 'string?' },
+  [ThemeEvents.mediaStartedPlaying]: { resource: 'object' },
+  [ThemeEvents.quantitySelectorUpdate]: { quantity: 'number', cartLine: 'number?' },
+  [ThemeEvents.megaMenuHover]: {},
+  [ThemeEvents.zoomMediaSelected]: { index: 'number' },
+  [ThemeEvents.discountUpdate]: { resource: 'object', sourceId: 'string' },
+  [ThemeEvents.FilterUpdate]: { queryParams: 'object' },
+  [ThemeEvents.predictiveSearch]: { searchTerm: 'string' },
+  [ThemeEvents.quickAddOpen]: { resource: 'object', 'resource.title': 'string', 'resource.url': 'string' },
+  [ThemeEvents.recentlyViewedUpdate]: { products: 'array' },
+  [SlideshowSelectEvent.eventName]: {
+    index: 'number',
+    id: 'string|null',
+    slide: 'object',
+    previousIndex: 'number',
+    userInitiated: 'boolean',
+    trigger: 'string',
+  },
+};
+
+/**
+ * The event types that are kept for replay. Only events describing the state of the page belong here, others
+ * like `variant:update` carry a whole parsed document that would be kept in memory for the life of the page.
+ */
+const REPLAYED_EVENTS = new Set([
+  ThemeEvents.variantSelected,
+  ThemeEvents.cartUpdate,
+  ThemeEvents.discountUpdate,
+  ThemeEvents.FilterUpdate,
+  ThemeEvents.recentlyViewedUpdate,
+]);
+
+/**
+ * Thrown when an event is published with a detail that does not match its schema
+ */
+export class EventPayloadError extends Error {
+  /**
+   * @param {string} type - The event type
+   * @param {string[]} problems - What does not match the schema
+   */
+  constructor(type, problems) {
+    super(`Invalid "${type}" event payload: ${problems.join(', ')}`);
+    this.name = 'EventPayloadError';
+    this.type = type;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Observes the theme events reaching the document, validates their payloads and lets subscribers
+ * listen to a namespace (`cart:*`) and catch up on the last event they missed.
+ * @example
+ * eventBus.subscribe('cart:*', (event) => console.log(event.type, event.detail), { replay: true });
+ * eventBus.publish(new CartUpdateEvent(cart, 'my-component', { source: 'my-component' }));
+ */
+export class ThemeEventBus {
+  /** @type {Map<string, EventSchema>} */
+  #schemas = new Map();
+
+  /**
+   * The last valid event of each replayed type, in the order they were dispatched
+   * @type {Map<string, Event>}
+   */
+  #lastEvents = new Map();
+
+  /** @type {Set<{ pattern: string, callback: ThemeEventSubscriber }>} */
+  #subscribers = new Set();
+
+  /** @type {EventTarget} */
+  #target;
+
+  /**
+   * @param {EventTarget} [target] - Where the events are observed and published
+   */
+  constructor(target = document) {
+    this.#target = target;
+
+    for (const [type, schema] of Object.entries(EVENT_SCHEMAS)) this.define(type, schema);
+  }
+
+  /**
+   * Registers the payload schema of an event type. Only registered types reach subscribers.
+   * @param {string} type - The event type, namespaced with a colon, e.g. `cart:update`
+   * @param {EventSchema} schema
+   */
+  define(type, schema) {
+    // Capturing on the target sees every bubbling event before listeners on the way can stop it
+    if (!this.#schemas.has(type)) this.#target.addEventListener(type, this.#onEvent, { capture: true });
+
+    this.#schemas.set(type, schema);
+  }
+
+  /**
+   * Validates the detail of an event against the schema of its type
+   * @param {Event & { detail?: any }} event
+   * @returns {string[]} What does not match the schema, empty when the event is valid
+   */
+  validate(event) {
+    const schema = this.#schemas.get(event.type);
+    if (!schema) return [];
+
+    /** @type {string[]} */
+    const problems = [];
+
+    for (const [path, expected] of Object.entries(schema)) {
+      const optional = expected.endsWith('?');
+      const types = (optional ? expected.slice(0, -1) : expected).split('|');
+      const value = path.split('.').reduce((object, key) => object?.[key], event.detail);
+
+      if (value === undefined && optional) continue;
+      if (!types.includes(getPayloadType(value))) problems.push(`${path} should be ${types.join(' or ')}`);
+    }
+
+    return problems;
+  }
+
+  /**
+   * Validates and dispatches an event
+   * @param {Event} event
+   * @param {EventTarget} [target] - The element the event is dispatched from
+   * @throws {EventPayloadError} When the detail of the event does not match its schema
+   */
+  publish(event, target = this.#target) {
+    const problems = this.validate(event);
+    if (problems.length) throw new EventPayloadError(event.type, problems);
+
+    target.dispatchEvent(event);
+  }
+
+  /**
+   * Subscribes to an event type, or to every type of a namespace with a wildcard (`cart:*`, or `*` for all)
+   * @param {string} pattern
+   * @param {ThemeEventSubscriber} callback
+   * @param {ThemeEventSubscribeOptions} [options]
+   * @returns {() => void} A function that removes the subscription
+   */
+  subscribe(pattern, callback, { replay = false, signal } = {}) {
+    const subscriber = { pattern, callback };
+    const unsubscribe = () => {
+      this.#subscribers.delete(subscriber);
+    };
+
+    if (signal?.aborted) return unsubscribe;
+
+    this.#subscribers.add(subscriber);
+    signal?.addEventListener('abort', unsubscribe, { once: true });
+
+    if (replay) {
+      for (const event of this.#lastEvents.values()) {
+        if (matchesPattern(pattern, event.type)) notify(callback, event);
+      }
+    }
+
+    return unsubscribe;
+  }
+
+  /**
+   * Gets the last valid event of a replayed type
+   * @param {string} type
+   * @returns {Event | undefined}
+   */
+  last(type) {
+    return this.#lastEvents.get(type);
+  }
+
+  /**
+   * @param {Event} event
+   */
+  #onEvent = (event) => {
+    const problems = this.validate(event);
+
+    if (problems.length) {
+      console.warn(new EventPayloadError(event.type, problems).message);
+      return;
+    }
+
+    if (REPLAYED_EVENTS.has(event.type)) {
+      // Re-inserting keeps the map ordered by the time each type was last dispatched
+      this.#lastEvents.delete(event.type);
+      this.#lastEvents.set(event.type, event);
+    }
+
+    for (const { pattern, callback } of this.#subscribers) {
+      if (matchesPattern(pattern, event.type)) notify(callback, event);
+    }
+  };
+}
+
+/**
+ * Gets the type of a payload value, as written in event schemas
+ * @param {unknown} value
+ * @returns {string}
+ */
+function getPayloadType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+
+  return typeof value;
+}
+
+/**
+ * Checks whether an event type matches a subscription pattern
+ * @param {string} pattern - An event type, a namespace wildcard like `cart:*`, or `*`
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesPattern(pattern, type) {
+  if (pattern === '*' || pattern === type) return true;
+
+  return pattern.endsWith(':*') && type.startsWith(pattern.slice(0, -1));
+}
+
+/**
+ * Calls a subscriber, so one failing subscriber does not prevent the others from being notified
+ * @param {ThemeEventSubscriber} callback
+ * @param {Event} event
+ */
+function notify(callback, event) {
+  try {
+    callback(event);
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+export const eventBus = new ThemeEventBus();
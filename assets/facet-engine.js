@@ -0,0 +1,223 @@
+/**
+ * Filters and sorts the products of a collection in the browser, the way the storefront filters do.
+ * Used for small collections, where loading every product once is cheaper than a round-trip per filter change.
+ */
+
+/**
+ * @typedef {Object} FacetVariant
+ * @property {boolean} available - Whether the variant can be purchased
+ * @property {number} price - The price, in cents
+ * @property {string[]} options - The option values, in the order of the product options
+ */
+
+/**
+ * @typedef {Object} FacetProduct
+ * @property {number} id
+ * @property {string} title
+ * @property {string} vendor
+ * @property {string} type
+ * @property {string[]} tags
+ * @property {number} created_at - The creation date, in seconds since the epoch
+ * @property {string[]} options - The option names
+ * @property {FacetVariant[]} variants
+ */
+
+/**
+ * @typedef {Object} FacetData
+ * @property {string} default_sort_by - The sort order the products are listed in
+ * @property {FacetProduct[]} products
+ */
+
+const SORT_BY = 'sort_by';
+const PRICE_MIN = 'filter.v.price.gte';
+const PRICE_MAX = 'filter.v.price.lte';
+const AVAILABILITY = 'filter.v.availability';
+const OPTION_PREFIX = 'filter.v.option.';
+
+/**
+ * The values of a product for each product-level filter
+ * @type {Record<string, (product: FacetProduct) => string[]>}
+ */
+const PRODUCT_FILTERS = {
+  'filter.p.vendor': (product) => [product.vendor],
+  'filter.p.product_type': (product) => [product.type],
+  'filter.p.tag': (product) => product.tags,
+};
+
+/**
+ * The sort orders that can be reproduced from the product data.
+ * Manual and best-selling orders are only known for the default sort order, from the order of the products.
+ * @type {Record<string, (a: FacetProduct, b: FacetProduct) => number>}
+ */
+const SORTERS = {
+  'title-ascending': (a, b) => a.title.localeCompare(b.title),
+  'title-descending': (a, b) => b.title.localeCompare(a.title),
+  'price-ascending': (a, b) => getMinPrice(a) - getMinPrice(b),
+  'price-descending': (a, b) => getMinPrice(b) - getMinPrice(a),
+  'created-ascending': (a, b) => a.created_at - b.created_at,
+  'created-descending': (a, b) => b.created_at - a.created_at,
+};
+
+export class FacetEngine {
+  /** @type {FacetProduct[]} */
+  #products;
+
+  /** @type {string} */
+  #defaultSortBy;
+
+  /**
+   * @param {FacetData} data - The products of the collection, in its default sort order
+   */
+  constructor({ products, default_sort_by }) {
+    this.#products = products;
+    this.#defaultSortBy = default_sort_by;
+  }
+
+  /**
+   * Whether the filters and the sort order can be applied in the browser.
+   * Metafield filters, for example, are not part of the product data and need the server.
+   * @param {URLSearchParams} parameters - The filter and sort parameters
+   * @returns {boolean}
+   */
+  supports(parameters) {
+    for (const [name, value] of parameters) {
+      if (name === SORT_BY) {
+        if (value !== this.#defaultSortBy && !SORTERS[value]) return false;
+      } else if (!isSupportedFilter(name)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Gets the products matching the filters, in the requested sort order
+   * @param {URLSearchParams} parameters - The filter and sort parameters
+   * @returns {FacetProduct[]}
+   */
+  query(parameters) {
+    const products = this.#products.filter((product) => matches(product, parameters));
+    const sortBy = parameters.get(SORT_BY);
+    const sorter = sortBy && sortBy !== this.#defaultSortBy ? SORTERS[sortBy] : undefined;
+
+    return sorter ? products.sort(sorter) : products;
+  }
+
+  /**
+   * Counts the products a filter value would match, along with the values selected in the other filters.
+   * Values of the same filter are combined with OR, so selecting one doesn't change the counts of the others.
+   * @param {URLSearchParams} parameters - The filter parameters
+   * @param {string} name - The filter parameter name, e.g. `filter.p.vendor`
+   * @param {string} value - The filter value
+   * @returns {number}
+   */
+  count(parameters, name, value) {
+    const countParameters = new URLSearchParams(parameters);
+    countParameters.delete(name);
+    countParameters.append(name, value);
+
+    return this.#products.reduce((count, product) => count + (matches(product, countParameters) ? 1 : 0), 0);
+  }
+}
+
+/**
+ * @param {string} name - The parameter name
+ * @returns {boolean}
+ */
+function isSupportedFilter(name) {
+  return (
+    name === PRICE_MIN ||
+    name === PRICE_MAX ||
+    name === AVAILABILITY ||
+    name.startsWith(OPTION_PREFIX) ||
+    name in PRODUCT_FILTERS
+  );
+}
+
+/**
+ * Whether a product matches every filter.
+ * Variant filters have to be matched by the same variant, e.g. an available variant in the selected size.
+ * @param {FacetProduct} product
+ * @param {URLSearchParams} parameters - The filter parameters
+ * @returns {boolean}
+ */
+function matches(product, parameters) {
+  /** @type {Map<string, string[]>} */
+  const filters = new Map();
+
+  for (const [name, value] of parameters) {
+    if (name === SORT_BY || value === '') continue;
+
+    filters.set(name, [...(filters.get(name) ?? []), value]);
+  }
+
+  for (const [name, getValues] of Object.entries(PRODUCT_FILTERS)) {
+    const selectedValues = filters.get(name);
+    if (selectedValues && !getValues(product).some((value) => selectedValues.includes(value))) return false;
+  }
+
+  return product.variants.some((variant) => matchesVariant(product, variant, filters));
+}
+
+/**
+ * @param {FacetProduct} product
+ * @param {FacetVariant} variant
+ * @param {Map<string, string[]>} filters - The selected values, by filter parameter name
+ * @returns {boolean}
+ */
+function matchesVariant(product, variant, filters) {
+  const availability = filters.get(AVAILABILITY);
+  if (availability && !availability.includes(variant.available ? '1' : '0')) return false;
+
+  const price = variant.price / 100;
+  const minPrice = parsePrice(filters.get(PRICE_MIN)?.[0]);
+  const maxPrice = parsePrice(filters.get(PRICE_MAX)?.[0]);
+  if ((minPrice !== null && price < minPrice) || (maxPrice !== null && price > maxPrice)) return false;
+
+  for (const [name, selectedValues] of filters) {
+    if (!name.startsWith(OPTION_PREFIX)) continue;
+
+    const optionName = name.slice(OPTION_PREFIX.length);
+    const index = product.options.findIndex((option) => handleize(option) === handleize(optionName));
+    const value = variant.options[index];
+
+    if (index === -1 || value === undefined || !selectedValues.includes(value)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * @param {FacetProduct} product
+ * @returns {number} The lowest variant price, in cents
+ */
+function getMinPrice(product) {
+  return Math.min(...product.variants.map((variant) => variant.price));
+}
+
+/**
+ * Parses a price filter value, entered in the major unit with either decimal separator
+ * @param {string | undefined} value
+ * @returns {number | null}
+ */
+function parsePrice(value) {
+  if (!value) return null;
+
+  const price = parseFloat(value.replace(',', '.'));
+  return Number.isNaN(price) ? null : price;
+}
+
+/**
+ * Normalizes an option name the way the storefront does in the filter parameter names
+ * @param {string} value
+ * @returns {string}
+ */
+function handleize(value) {
+  return value
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
@@ -0,0 +1,272 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+
+/**
+ * @typedef {Object} FilterPreset
+ * @property {string} name - The name the shopper gave the filters
+ * @property {string} url - The canonical URL of the filtered results
+ */
+
+/**
+ * Parameters that never change the results, so they are left out of canonical URLs
+ */
+const EXCLUDED_PARAMETERS = ['page', 'section_id'];
+
+/**
+ * Parameter values that are the default on results pages
+ * @type {Record<string, string>}
+ */
+const DEFAULT_PARAMETERS = {
+  'options[prefix]': 'last',
+};
+
+/**
+ * Builds the shortest URL for a set of filters: parameters sorted, and empty or default values left out,
+ * so the same filters always give the same URL.
+ * @param {string | URL} url - The URL of the filtered results
+ * @param {string} [defaultSortBy] - The default sort order of the results
+ * @returns {string} The canonical URL
+ */
+export function getCanonicalFilterURL(url, defaultSortBy) {
+  const canonicalURL = new URL(url, window.location.origin);
+  const parameters = [...canonicalURL.searchParams]
+    .filter(
+      ([name, value]) =>
+        value !== '' &&
+        !EXCLUDED_PARAMETERS.includes(name) &&
+        DEFAULT_PARAMETERS[name] !== value &&
+        !(name === 'sort_by' && value === defaultSortBy)
+    )
+    .sort(([name, value], [otherName, otherValue]) => name.localeCompare(otherName) || value.localeCompare(otherValue));
+
+  canonicalURL.search = new URLSearchParams(parameters).toString();
+  canonicalURL.hash = '';
+
+  return canonicalURL.toString();
+}
+
+/**
+ * Stores the filter presets of the shopper in localStorage.
+ */
+export class FilterPresets {
+  /** @static @constant {string} The key used to store the presets in local storage */
+  static #STORAGE_KEY = 'filterPresets';
+  /** @static @constant {number} The maximum number of presets to store */
+  static #MAX_PRESETS = 10;
+
+  /**
+   * Retrieves the presets of a results page, e.g. a collection.
+   * @param {string} pathname - The path of the results page.
+   * @returns {FilterPreset[]} The presets, most recent first.
+   */
+  static getPresets(pathname) {
+    return this.#read().filter((preset) => new URL(preset.url, window.location.origin).pathname === pathname);
+  }
+
+  /**
+   * Saves a preset, replacing the one with the same filters or the same name on the same page.
+   * @param {FilterPreset} preset - The preset to save.
+   */
+  static savePreset(preset) {
+    const { pathname } = new URL(preset.url, window.location.origin);
+    const presets = this.#read().filter(
+      ({ name, url }) =>
+        url !== preset.url && !(name === preset.name && new URL(url, window.location.origin).pathname === pathname)
+    );
+
+    presets.unshift(preset);
+    this.#write(presets.slice(0, this.#MAX_PRESETS));
+  }
+
+  /**
+   * Removes a preset.
+   * @param {string} url - The URL of the preset to remove.
+   */
+  static removePreset(url) {
+    this.#write(this.#read().filter((preset) => preset.url !== url));
+  }
+
+  /**
+   * @returns {FilterPreset[]}
+   */
+  static #read() {
+    try {
+      const presets = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+      return Array.isArray(presets) ? presets : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @param {FilterPreset[]} presets
+   */
+  static #write(presets) {
+    try {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(presets));
+    } catch (error) {
+      console.error(error);
+    }
+  }
+}
+
+/**
+ * A custom element that lists the saved filter presets, saves the current filters as a preset,
+ * and keeps the share link pointed at the canonical URL of the current filters.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} heading - The heading of the list.
+ * @property {HTMLUListElement} list - The list of presets.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a preset.
+ * @property {HTMLInputElement} nameInput - The name of the preset to save.
+ * @property {HTMLButtonElement} saveButton - The button that saves the preset.
+ * @property {HTMLElement} shareLink - The copy-to-clipboard component of the share link.
+ *
+ * @extends {Component<Refs>}
+ */
+class FilterPresetsComponent extends Component {
+  requiredRefs = ['heading', 'list', 'itemTemplate', 'nameInput', 'saveButton', 'shareLink'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.FilterUpdate, this.#render);
+  }
+
+  /**
+   * The share link is set on the client, so it is restored after the section is morphed.
+   */
+  onAfterMorph() {
+    this.#render();
+  }
+
+  /**
+   * The canonical URL of the current filters.
+   * @returns {string}
+   */
+  get #canonicalURL() {
+    return getCanonicalFilterURL(window.location.href, this.dataset.defaultSortBy);
+  }
+
+  /**
+   * Saves the current filters, named after the selected values when the shopper didn't name them.
+   */
+  savePreset() {
+    const url = this.#canonicalURL;
+    if (!new URL(url).search) return;
+
+    const { nameInput } = this.refs;
+    const name = nameInput.value.trim() || this.#describeFilters();
+
+    FilterPresets.savePreset({ name, url });
+    nameInput.value = '';
+    this.#render();
+  }
+
+  /**
+   * Saves the preset on Enter, rather than submitting the facets form.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  onNameKeyDown(event) {
+    if (event.key !== 'Enter') return;
+
+    event.preventDefault();
+    this.savePreset();
+  }
+
+  /**
+   * Applies a preset.
+   * @param {Event} event - The click event.
+   */
+  applyPreset(event) {
+    const url = this.#getPresetURL(event);
+    const facetsForm = this.closest('facets-form-component');
+
+    if (!url || !facetsForm) return;
+
+    /** @type {import('./facets').FacetsFormComponent} */ (facetsForm).updateFiltersByURL(url);
+  }
+
+  /**
+   * Removes a preset.
+   * @param {Event} event - The click event.
+   */
+  removePreset(event) {
+    const url = this.#getPresetURL(event);
+    if (!url) return;
+
+    FilterPresets.removePreset(url);
+    this.#render();
+  }
+
+  /**
+   * @param {Event} event - The click event.
+   * @returns {string | undefined} The URL of the preset the event happened on.
+   */
+  #getPresetURL(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const item = event.target.closest('[data-preset-url]');
+    return item instanceof HTMLElement ? item.dataset.presetUrl : undefined;
+  }
+
+  /**
+   * Describes the current filters with the labels of the selected values, e.g. "Black, In stock".
+   * @returns {string}
+   */
+  #describeFilters() {
+    const form = this.closest('form');
+    const labels = Array.from(form?.querySelectorAll('input[type="checkbox"][name^="filter."]:checked') ?? []).map(
+      (input) =>
+        (input instanceof HTMLInputElement &&
+          (input.dataset.label || input.getAttribute('aria-label') || input.labels?.[0]?.textContent?.trim())) ||
+        ''
+    );
+
+    return labels.filter(Boolean).join(', ') || this.refs.nameInput.placeholder;
+  }
+
+  /**
+   * Renders the presets of the current page and updates the share link.
+   */
+  #render = () => {
+    const { heading, list, itemTemplate, saveButton, shareLink } = this.refs;
+    const url = this.#canonicalURL;
+    const hasFilters = Boolean(new URL(url).search);
+    const presets = FilterPresets.getPresets(window.location.pathname);
+
+    const items = presets.map((preset) => {
+      const fragment = /** @type {DocumentFragment} */ (itemTemplate.content.cloneNode(true));
+      const item = fragment.querySelector('[data-preset-url]');
+      const applyButton = fragment.querySelector('[data-preset-name]');
+      const removeButton = fragment.querySelector('[data-preset-remove]');
+
+      if (item instanceof HTMLElement) item.dataset.presetUrl = preset.url;
+      if (applyButton) {
+        applyButton.textContent = preset.name;
+        applyButton.setAttribute('aria-current', String(preset.url === url));
+      }
+      removeButton?.setAttribute('aria-label', `${removeButton.getAttribute('aria-label')}: ${preset.name}`);
+
+      return fragment;
+    });
+
+    list.replaceChildren(...items);
+    list.hidden = heading.hidden = presets.length === 0;
+
+    saveButton.disabled = !hasFilters;
+    shareLink.hidden = !hasFilters;
+    shareLink.setAttribute('text-to-copy', url);
+  };
+}
+
+if (!customElements.get('filter-presets-component')) {
+  customElements.define('filter-presets-component', FilterPresetsComponent);
+}
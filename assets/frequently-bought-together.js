@@ -0,0 +1,167 @@
+import { Component } from '@theme/component';
+import { addItemsFromComponent, PREORDER_PROPERTY } from '@theme/cart';
+import { ThemeEvents } from '@theme/events';
+import { formatCurrency } from '@theme/utilities';
+
+/**
+ * A custom element that lists the product with the products frequently bought with it.
+ * The shopper picks the products and their variants, and adds them to the cart in a single request.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement[]} items - The products, the main product first.
+ * @property {HTMLElement} mainVariantTitle - The title of the selected variant of the main product.
+ * @property {HTMLElement} mainPrice - The price of the selected variant of the main product.
+ * @property {HTMLElement} totalPrice - The price of the selected products.
+ * @property {HTMLElement} compareAtTotal - The compare at price of the selected products.
+ * @property {HTMLButtonElement} addButton - The button that adds the selected products to the cart.
+ * @property {HTMLElement} error - The message shown when the products could not be added.
+ *
+ * @extends {Component<Refs>}
+ */
+class FrequentlyBoughtTogetherComponent extends Component {
+  requiredRefs = ['items', 'mainVariantTitle', 'mainPrice', 'totalPrice', 'compareAtTotal', 'addButton', 'error'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    this.updateTotal();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+  }
+
+  /**
+   * The products the shopper selected
+   * @returns {HTMLElement[]}
+   */
+  get #selectedItems() {
+    return this.refs.items.filter((item) => {
+      const checkbox = item.querySelector('input[type="checkbox"]');
+      return checkbox instanceof HTMLInputElement && checkbox.checked && item.dataset.variantId;
+    });
+  }
+
+  /**
+   * Updates the total price of the selected products, and disables the button when none can be added.
+   */
+  updateTotal() {
+    const { totalPrice, compareAtTotal, addButton } = this.refs;
+    const selectedItems = this.#selectedItems;
+
+    let total = 0;
+    let compareAt = 0;
+
+    for (const item of selectedItems) {
+      total += Number(item.dataset.price) || 0;
+      compareAt += Number(item.dataset.compareAtPrice) || Number(item.dataset.price) || 0;
+    }
+
+    totalPrice.textContent = formatCurrency(total);
+    compareAtTotal.textContent = formatCurrency(compareAt);
+    compareAtTotal.hidden = compareAt <= total;
+    addButton.disabled = !this.#isMainProductAvailable || selectedItems.length === 0;
+  }
+
+  /**
+   * Selects a variant of one of the frequently bought products.
+   * @param {Event} event - The change event of the variant select.
+   */
+  selectVariant(event) {
+    const select = event.target;
+    if (!(select instanceof HTMLSelectElement)) return;
+
+    const item = select.closest('[data-product-id]');
+    const option = select.selectedOptions[0];
+    if (!(item instanceof HTMLElement) || !option) return;
+
+    item.dataset.variantId = option.value;
+    item.dataset.price = option.dataset.price;
+    item.dataset.compareAtPrice = option.dataset.compareAtPrice;
+    item.dataset.preorder = option.dataset.preorder;
+
+    const price = item.querySelector('[data-item-price]');
+    if (price) price.textContent = formatCurrency(Number(option.dataset.price) || 0);
+
+    this.updateTotal();
+  }
+
+  /**
+   * Adds the selected products to the cart in a single request.
+   */
+  async addToCart() {
+    const { addButton, error } = this.refs;
+    const items = this.#selectedItems.map((item) => {
+      const preorder = item === this.refs.items[0] ? this.#mainPreorder : item.dataset.preorder;
+      const properties = preorder ? { [PREORDER_PROPERTY]: preorder } : undefined;
+
+      return { id: Number(item.dataset.variantId), quantity: 1, properties };
+    });
+
+    if (!items.length) return;
+
+    addButton.disabled = true;
+    addButton.setAttribute('aria-busy', 'true');
+
+    try {
+      await addItemsFromComponent(this, items, {
+        source: 'frequently-bought-together-component',
+        error,
+        label: this.dataset.productTitle,
+        productId: this.dataset.productId,
+      });
+    } finally {
+      addButton.removeAttribute('aria-busy');
+      this.updateTotal();
+    }
+  }
+
+  /**
+   * The pre-order property of the selected variant of the main product, as set by the product form of the section
+   * @returns {string | undefined}
+   */
+  get #mainPreorder() {
+    const property = this.closest('.shopify-section')?.querySelector(`input[name="properties[${PREORDER_PROPERTY}]"]`);
+    return property instanceof HTMLInputElement && !property.disabled ? property.value : undefined;
+  }
+
+  /**
+   * Whether the selected variant of the main product can be added to the cart
+   * @returns {boolean}
+   */
+  get #isMainProductAvailable() {
+    return this.refs.items[0]?.dataset.available !== 'false';
+  }
+
+  /**
+   * Follows the variant selected for the main product.
+   * @param {import('@theme/events').VariantUpdateEvent} event
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.productId !== this.dataset.productId) return;
+
+    const mainItem = this.refs.items[0];
+    /** @type {{ id?: string, title?: string, price?: number, compare_at_price?: number | null, available?: boolean } | null} */
+    const variant = event.detail.resource;
+
+    if (!mainItem || !variant?.id) return;
+
+    mainItem.dataset.variantId = String(variant.id);
+    mainItem.dataset.price = String(variant.price ?? 0);
+    mainItem.dataset.compareAtPrice = String(variant.compare_at_price || variant.price || 0);
+    mainItem.dataset.available = String(variant.available !== false);
+
+    if (!mainItem.hasAttribute('data-default-variant'))
+      this.refs.mainVariantTitle.textContent = ` ${variant.title ?? ''}`;
+    this.refs.mainPrice.textContent = formatCurrency(variant.price ?? 0);
+
+    this.updateTotal();
+  };
+}
+
+if (!customElements.get('frequently-bought-together-component')) {
+  customElements.define('frequently-bought-together-component', FrequentlyBoughtTogetherComponent);
+}
@@ -13,6 +13,9 @@ declare global {
     loadFeatures(features: ShopifyFeature[], callback?: LoadCallback): void;
     ModelViewerUI?: ModelViewer;
     visualPreviewMode: boolean;
+    analytics?: {
+      publish(eventName: string, payload: Record<string, unknown>): void;
+    };
   }
 
   interface Theme {
@@ -23,6 +26,8 @@ declare global {
       cart_update_url: string;
       cart_url: string;
       predictive_search_url: string;
+      product_recommendations_url: string;
+      root_url: string;
       search_url: string;
     };
     utilities: {
@@ -33,10 +38,37 @@ declare global {
     template: {
       name: string;
     };
+    currency: {
+      code: string;
+      money_format: string;
+      money_with_currency_format: string;
+    };
+    performance: {
+      endpoint: string | null;
+      sample_rate: number;
+    };
+    analytics: {
+      data_layer: string | null;
+      data_layer_event_names: string | null;
+      shopify_events: boolean;
+      meta_pixel: boolean;
+    };
+    recentlyViewed?: {
+      limit: number;
+      max_age_days: number;
+    };
+    preorders?: {
+      separate: boolean;
+    };
+    promotions?: {
+      rules: import('./cart-promotions').PromotionRule[];
+    };
   }
 
   interface Window {
     Shopify: Shopify;
+    dataLayer?: unknown[];
+    fbq?: (...args: unknown[]) => void;
   }
 
   declare const Shopify: Shopify;
@@ -40,7 +40,12 @@ export class MediaGallery extends Component {
   #handleVariantUpdate = (event) => {
     const source = event.detail.data.html;
 
-    if (!source) return;
+    // Until the section fragment arrives, show the media of the variant
+    if (!source) {
+      this.#selectMedia(event.detail.resource?.featured_media?.id);
+      return;
+    }
+
     const newMediaGallery = source.querySelector('media-gallery');
 
     if (!newMediaGallery) return;
@@ -48,6 +53,18 @@ export class MediaGallery extends Component {
     this.replaceWith(newMediaGallery);
   };
 
+  /**
+   * Selects the slide of a media, when the gallery is a slideshow.
+   * @param {string | number | undefined} mediaId - The ID of the media.
+   */
+  #selectMedia(mediaId) {
+    const { slideshow } = this;
+    if (!slideshow || !mediaId) return;
+
+    const index = slideshow.slides?.findIndex((slide) => slide.querySelector(`[data-media-id="${mediaId}"]`)) ?? -1;
+    if (index !== -1) slideshow.select(index, undefined, { animate: false });
+  }
+
   /**
    * Handles the 'zoom-media:selected' event.
    * @param {ZoomMediaSelectedEvent} event - The zoom-media:selected event.
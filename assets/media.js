@@ -16,6 +16,12 @@ class DeferredMedia extends Component {
 
   #abortController = new AbortController();
 
+  /**
+   * The video or iframe revealed by the shopper, which is not part of the server-rendered markup
+   * @type {Element | null}
+   */
+  #content = null;
+
   connectedCallback() {
     super.connectedCallback();
     const signal = this.#abortController.signal;
@@ -29,6 +35,25 @@ class DeferredMedia extends Component {
     this.#abortController.abort();
   }
 
+  /**
+   * Restores the playing state the morph reset to the server-rendered markup
+   */
+  onAfterMorph() {
+    if (!this.#content) return;
+
+    this.refs.deferredMediaPlayButton?.classList.add('deferred-media__playing');
+    this.updatePlayPauseHint(this.isPlaying);
+  }
+
+  /**
+   * Keeps the revealed media when the morph updates this element, so playback isn't interrupted
+   * @param {Node} node - The node about to be removed
+   * @returns {boolean | void} False for the revealed media
+   */
+  onBeforeRemove(node) {
+    if (node === this.#content) return false;
+  }
+
   /**
    * Updates the visual hint for play/pause state
    * @param {boolean} isPlaying - Whether the video is currently playing
@@ -68,6 +93,7 @@ class DeferredMedia extends Component {
 
     this.setAttribute('data-media-loaded', 'true');
     this.appendChild(content);
+    this.#content = content instanceof Element ? content : null;
 
     if (focus && content instanceof HTMLElement) {
       content.focus();
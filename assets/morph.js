@@ -6,9 +6,19 @@ import { Component } from '@theme/component';
  * @property {(node: Node | undefined) => string|number|undefined} [getNodeKey] - Get node key for matching
  * @property {(oldNode: Node, newNode: Node) => void} [onBeforeUpdate] - Pre-update hook
  * @property {(node: Node) => void} [onAfterUpdate] - Post-update hook
+ * @property {(node: Node) => void} [onAfterMorph] - Called with the node that stays in the document, once it was updated
+ * @property {(node: Node) => boolean | void} [onBeforeRemove] - Called before a node that is not in the new tree is removed, return false to remove it yourself, e.g. after an exit animation
+ * @property {(node: Node) => void} [onAfterInsert] - Called after a node of the new tree is inserted
+ * @property {(node: Node) => void} [onBeforeMove] - Called before a node is moved to its new position
  * @property {(oldNode: Node, newNode: Node) => boolean} [reject] - Reject a node from being morphed
  */
 
+/**
+ * The lifecycle callbacks a component can implement, to be notified when the morph removes, inserts or moves
+ * the component itself or one of its nodes, or updated the component itself
+ * @typedef {Pick<Options, 'onBeforeRemove' | 'onAfterInsert' | 'onBeforeMove' | 'onAfterMorph'>} MorphLifecycle
+ */
+
 /**
  * The options for the morph
  * @type {Options}
@@ -41,7 +51,13 @@ export const MORPH_OPTIONS = {
   },
   onBeforeUpdate(oldNode, newNode) {
     if (oldNode instanceof Element && newNode instanceof Element) {
-      const attributes = ['product-grid-view', 'data-current-checked', 'data-previous-checked', 'cart-summary-sticky'];
+      const attributes = [
+        'product-grid-view',
+        'data-current-checked',
+        'data-previous-checked',
+        'cart-summary-sticky',
+        'data-media-loaded',
+      ];
 
       for (const attribute of attributes) {
         const oldValue = oldNode.getAttribute(attribute);
@@ -80,8 +96,42 @@ export const MORPH_OPTIONS = {
       queueMicrotask(() => node.updatedCallback());
     }
   },
+  onAfterMorph(node) {
+    const component = /** @type {MorphLifecycle} */ (node);
+    if (!(node instanceof Component) || typeof component.onAfterMorph !== 'function') return;
+
+    // The component may be removed before the microtask runs, e.g. by a later morph of its section
+    queueMicrotask(() => {
+      if (node.isConnected) component.onAfterMorph?.(node);
+    });
+  },
+  onBeforeRemove(node) {
+    return getLifecycleOwner(node, 'onBeforeRemove')?.onBeforeRemove?.(node);
+  },
+  onAfterInsert(node) {
+    getLifecycleOwner(node, 'onAfterInsert')?.onAfterInsert?.(node);
+  },
+  onBeforeMove(node) {
+    getLifecycleOwner(node, 'onBeforeMove')?.onBeforeMove?.(node);
+  },
 };
 
+/**
+ * Finds the closest component, starting at the node itself, that implements a lifecycle callback
+ * @param {Node} node - The node that is removed, inserted or moved
+ * @param {keyof MorphLifecycle} callback - The name of the callback
+ * @returns {MorphLifecycle | null} The component
+ */
+function getLifecycleOwner(node, callback) {
+  for (let current = /** @type {Node | null} */ (node); current; current = current.parentNode) {
+    if (current instanceof Component && typeof (/** @type {any} */ (current)[callback]) === 'function') {
+      return /** @type {MorphLifecycle} */ (current);
+    }
+  }
+
+  return null;
+}
+
 /**
  * Morphs one DOM tree into another by comparing nodes and applying minimal changes
  * @param {Node} oldTree - The existing DOM tree
@@ -158,6 +208,8 @@ function walk(newNode, oldNode, options) {
   }
 
   options.onAfterUpdate?.(newNode);
+  // The old node is the one that stays in the document, the new node is only a detached copy
+  options.onAfterMorph?.(oldNode);
 
   return oldNode;
 }
@@ -212,13 +264,16 @@ function updateNode(newNode, oldNode, options) {
 }
 
 /**
- * Gets a node's key using the getNodeKey option if provided
+ * Gets a node's key using the getNodeKey option if provided, otherwise its `data-morph-key` or its ID
  * @param {Node | undefined} node - The node to get the key from
  * @param {Options} [options] - The options object that may contain getNodeKey
  * @returns {string|number|undefined} The node's key if one exists
  */
 function getNodeKey(node, options) {
-  return options?.getNodeKey?.(node) ?? (node instanceof Element ? node.id : undefined);
+  return (
+    options?.getNodeKey?.(node) ??
+    (node instanceof Element ? node.getAttribute('data-morph-key') || node.id : undefined)
+  );
 }
 
 /**
@@ -370,6 +425,11 @@ function updateChildren(newNode, oldNode, options) {
     return;
   }
 
+  if (hasKeyedChildren(newNode)) {
+    updateKeyedChildren(newNode, oldNode, options);
+    return;
+  }
+
   let oldChild, newChild, morphed, oldMatch;
   let offset = 0;
 
@@ -384,6 +444,9 @@ function updateChildren(newNode, oldNode, options) {
 
     // There is no new child, remove old
     if (!newChild) {
+      // The node removes itself, e.g. after an exit animation
+      if (oldChild && options.onBeforeRemove?.(oldChild) === false) continue;
+
       oldChild && oldNode.removeChild(oldChild);
       i--;
       continue;
@@ -392,6 +455,7 @@ function updateChildren(newNode, oldNode, options) {
     // There is no old child, add new
     if (!oldChild) {
       oldNode.appendChild(newChild);
+      options.onAfterInsert?.(newChild);
       offset++;
       continue;
     }
@@ -401,6 +465,7 @@ function updateChildren(newNode, oldNode, options) {
       morphed = walk(newChild, oldChild, options);
       if (morphed !== oldChild) {
         oldNode.replaceChild(morphed, oldChild);
+        options.onAfterInsert?.(morphed);
         offset++;
       }
       continue;
@@ -425,23 +490,181 @@ function updateChildren(newNode, oldNode, options) {
 
     if (oldMatch) {
       morphed = walk(newChild, oldMatch, options);
-      if (morphed !== oldMatch) offset++;
-      oldNode.insertBefore(morphed, oldChild);
+      if (morphed !== oldMatch) {
+        oldNode.insertBefore(morphed, oldChild);
+        options.onAfterInsert?.(morphed);
+        offset++;
+      } else {
+        options.onBeforeMove?.(oldMatch);
+        moveNode(oldNode, oldMatch, oldChild);
+      }
     } else if (!getNodeKey(newChild, options) && !getNodeKey(oldChild, options)) {
       // Safe to morph in-place if neither has a key
       morphed = walk(newChild, oldChild, options);
       if (morphed !== oldChild) {
         oldNode.replaceChild(morphed, oldChild);
+        options.onAfterInsert?.(morphed);
         offset++;
       }
     } else {
       // Insert the node if we couldn't morph or find a match
       oldNode.insertBefore(newChild, oldChild);
+      options.onAfterInsert?.(newChild);
       offset++;
     }
   }
 }
 
+/**
+ * Whether the children are a keyed list, e.g. cart lines or product cards, that can be reordered
+ * @param {Node} node - The new node
+ * @returns {boolean} True if one of the children has a `data-morph-key`
+ */
+function hasKeyedChildren(node) {
+  for (const child of node.childNodes) {
+    if (child instanceof Element && child.hasAttribute('data-morph-key')) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Update the children of a keyed list.
+ * Old children are matched by key wherever they are, so reordered nodes are moved rather than re-created,
+ * and only the nodes outside of the longest run that is already in order are moved.
+ * @param {Node} newNode - The new node to update children on
+ * @param {Node} oldNode - The existing node to update children on
+ * @param {Options} options - The options object
+ */
+function updateKeyedChildren(newNode, oldNode, options) {
+  const oldChildren = Array.from(oldNode.childNodes);
+  const newChildren = Array.from(newNode.childNodes).filter((newChild, index) => {
+    const reference = oldChildren[Math.min(index, oldChildren.length - 1)] ?? oldNode;
+    return !options.reject?.(reference, newChild);
+  });
+
+  /** @type {Map<string | number, Node>} */
+  const keyedChildren = new Map();
+  for (const oldChild of oldChildren) {
+    const key = getNodeKey(oldChild, options);
+    if (key) keyedChildren.set(key, oldChild);
+  }
+
+  /** @type {Set<Node>} */
+  const matched = new Set();
+  const matches = newChildren.map((newChild) => {
+    const key = getNodeKey(newChild, options);
+    const match = key
+      ? keyedChildren.get(key)
+      : oldChildren.find(
+          (oldChild) => !matched.has(oldChild) && !getNodeKey(oldChild, options) && same(oldChild, newChild, options)
+        );
+
+    if (!match || matched.has(match) || !same(match, newChild, options)) return null;
+
+    matched.add(match);
+    return match;
+  });
+
+  for (const oldChild of oldChildren) {
+    if (matched.has(oldChild)) continue;
+
+    // The node removes itself, e.g. after an exit animation
+    if (options.onBeforeRemove?.(oldChild) === false) continue;
+
+    oldNode.removeChild(oldChild);
+  }
+
+  /** @type {Map<Node, number>} */
+  const oldIndexes = new Map(oldChildren.map((oldChild, index) => [oldChild, index]));
+  const stablePositions = getStablePositions(matches.map((match) => (match ? (oldIndexes.get(match) ?? -1) : -1)));
+
+  // Placing the children from the last one lets each of them be inserted before its final next sibling
+  /** @type {Node | null} */
+  let nextSibling = null;
+
+  for (let position = newChildren.length - 1; position >= 0; position--) {
+    const newChild = /** @type {Node} */ (newChildren[position]);
+    const match = matches[position];
+
+    if (!match) {
+      oldNode.insertBefore(newChild, nextSibling);
+      options.onAfterInsert?.(newChild);
+      nextSibling = newChild;
+      continue;
+    }
+
+    walk(newChild, match, options);
+
+    if (!stablePositions.has(position)) {
+      options.onBeforeMove?.(match);
+      moveNode(oldNode, match, nextSibling);
+    }
+
+    nextSibling = match;
+  }
+}
+
+/**
+ * Finds the longest increasing subsequence of old indexes, the matched children that are already in order
+ * @param {number[]} indexes - The old index of each new child, -1 when it has no match
+ * @returns {Set<number>} The positions in `indexes` that are part of the subsequence
+ */
+function getStablePositions(indexes) {
+  /** @type {number[]} */
+  const tails = [];
+  /** @type {number[]} */
+  const previous = [];
+
+  indexes.forEach((index, position) => {
+    if (index < 0) return;
+
+    let low = 0;
+    let high = tails.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (/** @type {number} */ (indexes[/** @type {number} */ (tails[middle])]) < index) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    previous[position] = low > 0 ? /** @type {number} */ (tails[low - 1]) : -1;
+    tails[low] = position;
+  });
+
+  /** @type {Set<number>} */
+  const positions = new Set();
+  for (let position = tails[tails.length - 1] ?? -1; position >= 0; position = previous[position] ?? -1) {
+    positions.add(position);
+  }
+
+  return positions;
+}
+
+/**
+ * Moves a node, keeping the state of iframes, media and focus in browsers that support atomic moves
+ * @param {Node} parent - The parent node
+ * @param {Node} node - The node to move
+ * @param {Node | null} referenceNode - The node to move it before, or null to move it to the end
+ */
+function moveNode(parent, node, referenceNode) {
+  const { moveBefore } = /** @type {Node & { moveBefore?: (node: Node, child: Node | null) => void }} */ (parent);
+
+  if (moveBefore) {
+    try {
+      moveBefore.call(parent, node, referenceNode);
+      return;
+    } catch {
+      // The node can't be moved atomically, e.g. across shadow roots, so it is moved the regular way
+    }
+  }
+
+  parent.insertBefore(node, referenceNode);
+}
+
 /**
  * Check if two nodes are the same
  * @param {Node} a - The first node
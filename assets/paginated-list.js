@@ -12,6 +12,7 @@ import { PaginatedListAspectRatioHelper } from '@theme/paginated-list-aspect-rat
  * @property {HTMLSpanElement} [viewMorePrevious] - The view more previous button.
  * @property {HTMLSpanElement} [viewMoreNext] - The view more next button.
  * @property {HTMLElement[]} [cards] - The cards elements.
+ * @property {HTMLButtonElement} [showMore] - The button that reveals the next page, when the products are paginated in the browser.
  *
  * @extends Component<Refs>
  */
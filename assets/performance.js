@@ -1,9 +1,131 @@
+/**
+ * @typedef {Record<string, string | number | boolean>} MetricAttributes
+ */
+
+/**
+ * @typedef {Object} PerformanceMetric
+ * @property {string} name - The metric name, e.g. `cart-performance:add:user-action` or `web-vitals:inp`
+ * @property {number} value - The duration in milliseconds, or the score for CLS
+ * @property {MetricAttributes} [attributes] - What the metric was measured on, e.g. the section
+ */
+
+/**
+ * @typedef {(url: string, body: string) => void} BeaconTransport
+ */
+
+/**
+ * @typedef {PerformanceEventTiming & { interactionId?: number }} InteractionTiming
+ */
+
+/**
+ * The number of metrics sent in a single beacon
+ */
+const BATCH_SIZE = 20;
+
+/**
+ * Interactions slower than this are reported individually, with the section they happened in
+ */
+const SLOW_INTERACTION_THRESHOLD = 200;
+
+/**
+ * The shortest event duration the browser reports, see `PerformanceEventTiming`
+ */
+const EVENT_DURATION_THRESHOLD = 40;
+
+/**
+ * Collects performance metrics and sends them in batches to the configured beacon endpoint.
+ * Whether a page view is reported is decided once, so every metric of a sampled page view is kept.
+ */
+export class PerformanceReporter {
+  /** @type {PerformanceMetric[]} */
+  #queue = [];
+
+  /** @type {string | null} */
+  #endpoint;
+
+  /** @type {boolean} */
+  #sampled;
+
+  /** @type {BeaconTransport} */
+  #transport;
+
+  /**
+   * @param {Object} [options]
+   * @param {string | null} [options.endpoint] - Where the metrics are sent
+   * @param {number} [options.sampleRate] - The share of page views that are reported, between 0 and 1
+   * @param {BeaconTransport} [options.transport] - Sends a batch, can be replaced to collect metrics locally
+   */
+  constructor({
+    endpoint = Theme.performance?.endpoint ?? null,
+    sampleRate = Theme.performance?.sample_rate ?? 0,
+    transport = sendBeacon,
+  } = {}) {
+    this.#endpoint = endpoint;
+    this.#sampled = Math.random() < sampleRate;
+    this.#transport = transport;
+
+    if (!this.enabled) return;
+
+    observeWebVitals(this);
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush();
+    });
+    window.addEventListener('pagehide', () => this.flush());
+  }
+
+  /**
+   * Whether the metrics of this page view are reported
+   * @returns {boolean}
+   */
+  get enabled() {
+    return Boolean(this.#endpoint) && this.#sampled;
+  }
+
+  /**
+   * Queues a metric, sending the batch once it is full
+   * @param {string} name
+   * @param {number} value
+   * @param {MetricAttributes} [attributes]
+   */
+  report(name, value, attributes) {
+    if (!this.enabled) return;
+
+    this.#queue.push({ name, value: Math.round(value * 1000) / 1000, ...(attributes && { attributes }) });
+
+    if (this.#queue.length >= BATCH_SIZE) this.flush();
+  }
+
+  /**
+   * Sends the queued metrics
+   */
+  flush() {
+    if (!this.#endpoint || !this.#queue.length) return;
+
+    const metrics = this.#queue;
+    this.#queue = [];
+
+    try {
+      this.#transport(
+        this.#endpoint,
+        JSON.stringify({ page: location.pathname, template: Theme.template.name, metrics })
+      );
+    } catch (error) {
+      console.error(error);
+    }
+  }
+}
+
+export const performanceReporter = new PerformanceReporter();
+
 class ThemePerformance {
   /**
    * @param {string} metricPrefix
+   * @param {PerformanceReporter} [reporter] - Where the measures are reported
    */
-  constructor(metricPrefix) {
+  constructor(metricPrefix, reporter = performanceReporter) {
     this.metricPrefix = metricPrefix;
+    this.reporter = reporter;
   }
 
   /**
@@ -18,9 +140,10 @@ class ThemePerformance {
   /**
    * @param {string} benchmarkName
    * @param {Event} event
+   * @param {MetricAttributes} [attributes]
    * @returns {void}
    */
-  measureFromEvent(benchmarkName, event) {
+  measureFromEvent(benchmarkName, event, attributes) {
     const metricName = `${this.metricPrefix}:${benchmarkName}`;
     performance.mark(`${metricName}:start`, {
       startTime: event.timeStamp,
@@ -28,35 +151,172 @@ class ThemePerformance {
 
     performance.mark(`${metricName}:end`);
 
-    performance.measure(metricName, `${metricName}:start`, `${metricName}:end`);
+    this.#report(performance.measure(metricName, `${metricName}:start`, `${metricName}:end`), attributes);
   }
 
   /**
    * @param {PerformanceMark} startMarker
+   * @param {MetricAttributes} [attributes]
    * @returns {void}
    */
-  measureFromMarker(startMarker) {
+  measureFromMarker(startMarker, attributes) {
     const metricName = startMarker.name.replace(/:start$/, '');
     const endMarker = performance.mark(`${metricName}:end`);
 
-    performance.measure(metricName, startMarker.name, endMarker.name);
+    // Measuring between the marks themselves, rather than their names, keeps overlapping measures apart
+    this.#report(
+      performance.measure(metricName, { start: startMarker.startTime, end: endMarker.startTime }),
+      attributes
+    );
   }
 
   /**
+   * @template T
    * @param {string} benchmarkName
-   * @param {Function} callback
-   * @returns {void}
+   * @param {() => T} callback
+   * @param {MetricAttributes} [attributes]
+   * @returns {T} The value returned by the callback
    */
-  measure(benchmarkName, callback) {
+  measure(benchmarkName, callback, attributes) {
     const metricName = `${this.metricPrefix}:${benchmarkName}`;
     performance.mark(`${metricName}:start`);
 
-    callback();
+    const result = callback();
 
     performance.mark(`${metricName}:end`);
 
-    performance.measure(benchmarkName, `${metricName}:start`, `${metricName}:end`);
+    this.#report(performance.measure(metricName, `${metricName}:start`, `${metricName}:end`), attributes);
+
+    return result;
+  }
+
+  /**
+   * @param {PerformanceMeasure} measure
+   * @param {MetricAttributes} [attributes]
+   */
+  #report(measure, attributes) {
+    this.reporter.report(measure.name, measure.duration, attributes);
   }
 }
 
+/**
+ * Observes LCP, CLS and INP, and reports them the first time the page is hidden.
+ * INP is approximated like the `web-vitals` library does, from the slowest interactions of the page view.
+ * @param {PerformanceReporter} reporter
+ */
+function observeWebVitals(reporter) {
+  let largestContentfulPaint = 0;
+  let layoutShift = 0;
+  let sessionShift = 0;
+  let sessionStart = 0;
+  let lastShift = 0;
+  let reported = false;
+
+  /** @type {Map<number, InteractionTiming>} */
+  const interactions = new Map();
+
+  observe('largest-contentful-paint', (entries) => {
+    largestContentfulPaint = entries[entries.length - 1]?.startTime ?? largestContentfulPaint;
+  });
+
+  observe('layout-shift', (entries) => {
+    for (const entry of /** @type {Array<PerformanceEntry & { value: number, hadRecentInput: boolean }>} */ (entries)) {
+      if (entry.hadRecentInput) continue;
+
+      // Shifts are grouped in session windows of at most 5 seconds, with less than 1 second between them
+      if (!sessionShift || entry.startTime - lastShift > 1000 || entry.startTime - sessionStart > 5000) {
+        sessionShift = 0;
+        sessionStart = entry.startTime;
+      }
+
+      sessionShift += entry.value;
+      lastShift = entry.startTime;
+      layoutShift = Math.max(layoutShift, sessionShift);
+    }
+  });
+
+  observe(
+    'event',
+    (entries) => {
+      for (const entry of /** @type {InteractionTiming[]} */ (entries)) {
+        if (!entry.interactionId) continue;
+
+        const previous = interactions.get(entry.interactionId);
+        if (previous && previous.duration >= entry.duration) continue;
+
+        interactions.set(entry.interactionId, entry);
+
+        if (entry.duration >= SLOW_INTERACTION_THRESHOLD && !previous) {
+          reporter.report('web-vitals:slow-interaction', entry.duration, getInteractionAttributes(entry));
+        }
+      }
+    },
+    { durationThreshold: EVENT_DURATION_THRESHOLD }
+  );
+
+  const reportWebVitals = () => {
+    if (reported || document.visibilityState !== 'hidden') return;
+    reported = true;
+
+    if (largestContentfulPaint) reporter.report('web-vitals:lcp', largestContentfulPaint);
+    reporter.report('web-vitals:cls', layoutShift);
+
+    const slowest = [...interactions.values()].sort((a, b) => b.duration - a.duration);
+    // One outlier is ignored for every 50 interactions, so INP stays representative on long page views
+    const interaction = slowest[Math.min(Math.floor(interactions.size / 50), slowest.length - 1)];
+
+    if (interaction) reporter.report('web-vitals:inp', interaction.duration, getInteractionAttributes(interaction));
+  };
+
+  // Listeners registered before the reporter's own, so the vitals are part of the flushed batch
+  document.addEventListener('visibilitychange', reportWebVitals);
+  window.addEventListener('pagehide', reportWebVitals);
+}
+
+/**
+ * Observes a type of performance entries, including the ones buffered before the module loaded
+ * @param {string} type
+ * @param {(entries: PerformanceEntry[]) => void} callback
+ * @param {Object} [options]
+ * @param {number} [options.durationThreshold]
+ */
+function observe(type, callback, options) {
+  if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return;
+
+  new PerformanceObserver((list) => callback(list.getEntries())).observe({ type, buffered: true, ...options });
+}
+
+/**
+ * Describes where an interaction happened, so slow interactions can be traced back to a section
+ * @param {PerformanceEventTiming} entry
+ * @returns {MetricAttributes}
+ */
+function getInteractionAttributes(entry) {
+  const target = entry.target instanceof Element ? entry.target : null;
+  const section = target?.closest('.shopify-section');
+  const sectionType = target?.closest('[data-section-type]');
+
+  return {
+    event: entry.name,
+    section: section?.id.replace(/^shopify-section-/, '') ?? '',
+    section_type: sectionType instanceof HTMLElement ? (sectionType.dataset.sectionType ?? '') : '',
+    element: target?.localName ?? '',
+  };
+}
+
+/**
+ * Sends a batch without delaying the page unload
+ * @param {string} url
+ * @param {string} body
+ */
+function sendBeacon(url, body) {
+  if (navigator.sendBeacon?.(url, body)) return;
+
+  fetch(url, { method: 'POST', body, keepalive: true }).catch(() => {});
+}
+
 export const cartPerformance = new ThemePerformance('cart-performance');
+
+export const sectionPerformance = new ThemePerformance('section-performance');
+
+export const variantPerformance = new ThemePerformance('variant-performance');
@@ -3,7 +3,20 @@ import { debounce, onAnimationEnd, prefersReducedMotion } from '@theme/utilities
 import { sectionRenderer } from '@theme/section-renderer';
 import { morph } from '@theme/morph';
 import { RecentlyViewed } from '@theme/recently-viewed-products';
+import { SearchHistory } from '@theme/search-history';
+import { searchIndex } from '@theme/search-index';
 import { DialogCloseEvent, DialogOpenEvent, DialogComponent } from '@theme/dialog';
+import { PredictiveSearchEvent } from '@theme/events';
+
+/**
+ * The section that renders the products found by the local search index
+ */
+const FALLBACK_SECTION_ID = 'predictive-search-fallback';
+
+/**
+ * The number of recently viewed products shown in the empty state
+ */
+const RECENTLY_VIEWED_LIMIT = 4;
 
 /**
  * A custom element that allows the user to search for resources available on the store.
@@ -56,6 +69,10 @@ class PredictiveSearchComponent extends Component {
       this.addEventListener('click', this.#handleModalClick, { signal });
     }
 
+    this.addEventListener('click', this.#handleResultClick, { signal });
+    this.addEventListener('submit', this.#handleSubmit, { signal });
+    this.#renderSearchHistory(this);
+
     if (RecentlyViewed.getProducts().length > 0) {
       requestIdleCallback(() => {
         this.#loadEmptyState();
@@ -82,6 +99,26 @@ class PredictiveSearchComponent extends Component {
     }
   };
 
+  /**
+   * Saves the term that led to the clicked result, or the clicked recent or trending search
+   * @param {MouseEvent} event - The mouse event
+   */
+  #handleResultClick = (event) => {
+    if (!(event.target instanceof Element)) return;
+
+    const link = event.target.closest('a');
+    if (!link || !this.refs.predictiveSearchResults.contains(link)) return;
+
+    const searchTermItem = link.closest('[data-search-term]');
+    const term = searchTermItem instanceof HTMLElement ? searchTermItem.dataset.searchTerm : undefined;
+
+    SearchHistory.addTerm(term ?? this.refs.searchInput.value);
+  };
+
+  #handleSubmit = () => {
+    SearchHistory.addTerm(this.refs.searchInput.value);
+  };
+
   disconnectedCallback() {
     super.disconnectedCallback();
     this.#controller.abort();
@@ -190,6 +227,12 @@ class PredictiveSearchComponent extends Component {
       return;
     }
 
+    if (event.key === 'Delete' && this.#currentItem?.matches('[data-search-history] [data-search-term]')) {
+      event.preventDefault();
+      this.#removeSearchTerm(this.#currentItem);
+      return;
+    }
+
     const currentIndex = this.#currentIndex;
     const totalItems = this.#allResultsItems.length;
 
@@ -222,6 +265,7 @@ class PredictiveSearchComponent extends Component {
         const singleResultContainer = this.refs.predictiveSearchResults.querySelector('[data-single-result-url]');
         if (singleResultContainer instanceof HTMLElement && singleResultContainer.dataset.singleResultUrl) {
           event.preventDefault();
+          SearchHistory.addTerm(this.refs.searchInput.value);
           window.location.href = singleResultContainer.dataset.singleResultUrl;
           return;
         }
@@ -230,9 +274,8 @@ class PredictiveSearchComponent extends Component {
           event.preventDefault();
           this.#currentItem?.querySelector('a')?.click();
         } else {
-          const searchUrl = new URL(Theme.routes.search_url, location.origin);
-          searchUrl.searchParams.set('q', this.refs.searchInput.value);
-          window.location.href = searchUrl.toString();
+          SearchHistory.addTerm(this.refs.searchInput.value);
+          window.location.href = getSearchURL(this.refs.searchInput.value);
         }
         break;
       }
@@ -265,6 +308,77 @@ class PredictiveSearchComponent extends Component {
     }
   }
 
+  /**
+   * Clears the recent searches.
+   * @param {Event} event - The event.
+   */
+  clearSearchHistory(event) {
+    event.stopPropagation();
+
+    SearchHistory.clearTerms();
+    this.#renderSearchHistory(this);
+    this.refs.searchInput.focus();
+  }
+
+  /**
+   * Removes a recent search.
+   * @param {Event} event - The event.
+   */
+  removeSearchTerm(event) {
+    event.stopPropagation();
+
+    if (!(event.target instanceof Element)) return;
+
+    const item = event.target.closest('[data-search-term]');
+    if (item instanceof HTMLElement) this.#removeSearchTerm(item);
+  }
+
+  /**
+   * Removes a recent search, keeping the keyboard selection in place.
+   * @param {HTMLElement} item - The recent search item.
+   */
+  #removeSearchTerm(item) {
+    const index = this.#currentIndex;
+
+    SearchHistory.removeTerm(item.dataset.searchTerm ?? '');
+    this.#renderSearchHistory(this);
+
+    this.#currentIndex = Math.min(index, this.#allResultsItems.length - 1);
+    this.refs.searchInput.focus();
+  }
+
+  /**
+   * Renders the recent searches in the empty state.
+   * @param {ParentNode} root - The empty state, or the markup it is about to be morphed from.
+   */
+  #renderSearchHistory(root) {
+    const history = root.querySelector('[data-search-history]');
+    const list = history?.querySelector('ul');
+    const template = history?.querySelector('template');
+
+    if (!(history instanceof HTMLElement) || !list || !template) return;
+
+    const terms = SearchHistory.getTerms();
+    const items = terms.map((term) => {
+      const fragment = /** @type {DocumentFragment} */ (template.content.cloneNode(true));
+      const item = fragment.querySelector('[data-search-term]');
+      const link = fragment.querySelector('a');
+      const removeButton = fragment.querySelector('button');
+
+      if (item instanceof HTMLElement) item.dataset.searchTerm = term;
+      if (link) {
+        link.textContent = term;
+        link.href = getSearchURL(term);
+      }
+      removeButton?.setAttribute('aria-label', `${removeButton.getAttribute('aria-label')}: ${term}`);
+
+      return fragment;
+    });
+
+    list.replaceChildren(...items);
+    history.hidden = terms.length === 0;
+  }
+
   /**
    * Reset the search state.
    * @param {boolean} [keepFocus=true] - Whether to keep focus on input after reset
@@ -323,14 +437,19 @@ class PredictiveSearchComponent extends Component {
 
     sectionRenderer
       .getSectionHTML(this.dataset.sectionId, false, url)
-      .then((resultsMarkup) => {
+      .then(async (resultsMarkup) => {
         if (!resultsMarkup) return;
 
         if (abortController.signal.aborted) return;
 
-        morph(predictiveSearchResults, resultsMarkup);
+        const results = await this.#addFallbackResults(searchTerm, resultsMarkup);
+
+        if (abortController.signal.aborted) return;
+
+        morph(predictiveSearchResults, results);
 
         this.#resetScrollPositions();
+        this.dispatchEvent(new PredictiveSearchEvent(searchTerm));
       })
       .catch((error) => {
         if (abortController.signal.aborted) return;
@@ -338,6 +457,66 @@ class PredictiveSearchComponent extends Component {
       });
   }
 
+  /**
+   * Searches the local index when Shopify has no results, which happens with misspelled words or missing accents.
+   * Adds the products it finds, and a corrected query the shopper can search instead.
+   * @param {string} searchTerm - The term that was searched for
+   * @param {string} resultsMarkup - The predictive search results
+   * @returns {Promise<Node | string>} The results, with the fallback products when there are any
+   */
+  async #addFallbackResults(searchTerm, resultsMarkup) {
+    const results = new DOMParser().parseFromString(resultsMarkup, 'text/html').body.firstElementChild;
+    const suggestionElement = results?.querySelector('[data-search-suggestion]');
+
+    if (!results || !(suggestionElement instanceof HTMLElement)) return resultsMarkup;
+
+    try {
+      const { productIds, suggestion } = await searchIndex.search(searchTerm);
+      const suggestionButton = suggestionElement.querySelector('button');
+
+      if (suggestion && suggestionButton) {
+        suggestionButton.textContent = suggestion;
+        suggestionElement.hidden = false;
+      }
+
+      if (productIds.length) {
+        const url = new URL(Theme.routes.search_url, location.origin);
+        url.searchParams.set('q', productIds.map((id) => `id:${id}`).join(' OR '));
+        url.searchParams.set('resources[type]', 'product');
+
+        const fallbackMarkup = await sectionRenderer.getSectionHTML(FALLBACK_SECTION_ID, true, url);
+        const fallbackProducts = new DOMParser()
+          .parseFromString(fallbackMarkup, 'text/html')
+          .getElementById('predictive-search-products');
+
+        if (fallbackProducts) suggestionElement.after(fallbackProducts);
+      }
+    } catch (error) {
+      // The results without the fallback are still accurate
+      console.error(error);
+    }
+
+    return results;
+  }
+
+  /**
+   * Searches for the corrected query suggested by the local search index.
+   * @param {MouseEvent} event - The click event on the suggestion.
+   */
+  searchSuggestion(event) {
+    if (!(event.target instanceof HTMLElement)) return;
+
+    const suggestion = event.target.textContent?.trim();
+    if (!suggestion) return;
+
+    const { searchInput } = this.refs;
+
+    searchInput.value = suggestion;
+    searchInput.focus();
+    this.#currentIndex = -1;
+    this.#getSearchResults(suggestion);
+  }
+
   /**
    * Fetch the markup for the recently viewed products.
    * @returns {Promise<string | null>} The markup for the recently viewed products.
@@ -345,11 +524,11 @@ class PredictiveSearchComponent extends Component {
   async #getRecentlyViewedProductsMarkup() {
     if (!this.dataset.sectionId) return null;
 
-    const viewedProducts = RecentlyViewed.getProducts();
+    const viewedProducts = RecentlyViewed.getProducts({ limit: RECENTLY_VIEWED_LIMIT });
     if (viewedProducts.length === 0) return null;
 
     const url = new URL(Theme.routes.search_url, location.origin);
-    url.searchParams.set('q', viewedProducts.map(/** @param {string} id */ (id) => `id:${id}`).join(' OR '));
+    url.searchParams.set('q', viewedProducts.map(({ id }) => `id:${id}`).join(' OR '));
     url.searchParams.set('resources[type]', 'product');
 
     return sectionRenderer.getSectionHTML(this.dataset.sectionId, false, url);
@@ -395,6 +574,8 @@ class PredictiveSearchComponent extends Component {
 
     if (!parsedEmptySectionMarkup) throw new Error('No empty section markup found');
 
+    this.#renderSearchHistory(parsedEmptySectionMarkup);
+
     /** This needs to be awaited and not .then so the DOM is already morphed
      * when #closeResults is called and therefore the height is animated */
     const viewedProducts = RecentlyViewed.getProducts();
@@ -425,6 +606,17 @@ class PredictiveSearchComponent extends Component {
   };
 }
 
+/**
+ * Builds the URL of the search results page for a term
+ * @param {string} term - The search term
+ * @returns {string} The URL
+ */
+function getSearchURL(term) {
+  const searchUrl = new URL(Theme.routes.search_url, location.origin);
+  searchUrl.searchParams.set('q', term);
+  return searchUrl.toString();
+}
+
 if (!customElements.get('predictive-search-component')) {
   customElements.define('predictive-search-component', PredictiveSearchComponent);
 }
@@ -131,13 +131,16 @@ export class ProductCard extends Component {
     // by this component and should not affect anything outside the card.
     event.stopPropagation();
 
+    const { html } = event.detail.data;
+    if (!html) return;
+
     this.updatePrice(event);
     this.#isUnavailableVariantSelected(event);
     this.#updateProductUrl(event);
     this.refs.quickAdd?.fetchProductPage(this.productPageUrl);
 
     if (event.target !== this.variantPicker) {
-      this.variantPicker?.updateVariantPicker(event.detail.data.html);
+      this.variantPicker?.updateVariantPicker(html);
     }
 
     this.#updateVariantImages();
@@ -179,7 +182,7 @@ export class ProductCard extends Component {
    */
   updatePrice(event) {
     const priceContainer = this.querySelectorAll(`product-price [ref='priceContainer']`)[1];
-    const newPriceElement = event.detail.data.html.querySelector(`product-price [ref='priceContainer']`);
+    const newPriceElement = event.detail.data.html?.querySelector(`product-price [ref='priceContainer']`);
 
     if (newPriceElement && priceContainer) {
       morph(priceContainer, newPriceElement);
@@ -222,8 +225,8 @@ export class ProductCard extends Component {
    * @param {VariantUpdateEvent} event - The variant update event.
    */
   #isUnavailableVariantSelected(event) {
-    const allVariants = /** @type {NodeListOf<HTMLInputElement>} */ (
-      event.detail.data.html.querySelectorAll('input:checked')
+    const allVariants = /** @type {HTMLInputElement[]} */ (
+      Array.from(event.detail.data.html?.querySelectorAll('input:checked') ?? [])
     );
 
     for (const variant of allVariants) {
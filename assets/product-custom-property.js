@@ -1,23 +1,265 @@
 // assets/product-custom-property.js
 import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+
+/**
+ * A color as set by a color input
+ */
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * @typedef {HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement} PropertyField
+ */
+
+/**
+ * @typedef {object} PreviewValue
+ * @property {string} [text] - A line of text shown in the preview.
+ * @property {string} [color] - The color of the text.
+ */
+
+/**
+ * Shows the personalization of the products over their first image, like an engraving.
+ * The lines of text are stacked in the order of the fields, in the color of the last color field.
+ */
+class PersonalizationPreview {
+  /** @type {WeakMap<Element, Map<Element, PreviewValue>>} */
+  #values = new WeakMap();
+
+  /**
+   * @param {Element} section - The section of the product.
+   * @param {Element} field - The component of the field.
+   * @param {PreviewValue | null} value - The value to preview, `null` to remove it.
+   */
+  set(section, field, value) {
+    let values = this.#values.get(section);
+
+    if (!values) {
+      values = new Map();
+      this.#values.set(section, values);
+    }
+
+    if (value) {
+      values.set(field, value);
+    } else {
+      values.delete(field);
+    }
+
+    this.render(section);
+  }
+
+  /**
+   * Renders the preview over the first image of the section. The preview is rendered again when the media
+   * gallery is replaced, e.g. on variant change.
+   * @param {Element} section - The section of the product.
+   */
+  render(section) {
+    const container = section.querySelector('media-gallery .product-media-container');
+    if (!container) return;
+
+    const values = Array.from(this.#values.get(section)?.values() ?? []);
+    const lines = values.map(({ text }) => text).filter((text) => !!text);
+    const color = values
+      .map((value) => value.color)
+      .filter((value) => !!value)
+      .pop();
+
+    let preview = container.querySelector('.personalization-preview');
+
+    if (!lines.length) {
+      preview?.remove();
+      return;
+    }
+
+    if (!(preview instanceof HTMLElement)) {
+      preview = document.createElement('div');
+      preview.className = 'personalization-preview';
+      // The values are read from the fields, the preview is decorative
+      preview.setAttribute('aria-hidden', 'true');
+      container.append(preview);
+    }
+
+    preview.replaceChildren(
+      ...lines.map((line) => {
+        const element = document.createElement('span');
+        element.textContent = line ?? '';
+        return element;
+      })
+    );
+
+    if (preview instanceof HTMLElement) {
+      preview.style.setProperty('--personalization-color', color ?? null);
+    }
+  }
+}
+
+const personalizationPreview = new PersonalizationPreview();
 
 /**
  * @typedef {object} ProductCustomPropertyRefs
- * @property {HTMLInputElement | HTMLTextAreaElement} textInput - The text input.
- * @property {HTMLElement} characterCount - The character count element.
+ * @property {HTMLInputElement | HTMLTextAreaElement} [textInput] - The text input.
+ * @property {HTMLElement} [characterCount] - The character count element.
+ * @property {HTMLElement} error - The validation message.
  */
 
 /**
- * A custom element that manages product custom properties
+ * A custom element that manages product custom properties: text, checkbox, dropdown, color, date and file fields.
+ * The value is posted with the product form as a line item property. It is validated when it changes and
+ * when the form is submitted, and shown in the personalization preview when the field is set to.
  * @extends Component<ProductCustomPropertyRefs>
  */
 class ProductCustomProperty extends Component {
+  requiredRefs = ['error'];
+
+  /** @type {Element | null} */
+  #section = null;
+
+  /**
+   * Whether the field was validated once, the message then follows the value as it is typed
+   */
+  #isValidated = false;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#section = this.closest('.shopify-section, dialog');
+    this.#section?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+    this.#updatePreview();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    if (this.#section) {
+      this.#section.removeEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+      personalizationPreview.set(this.#section, this, null);
+    }
+
+    this.#section = null;
+  }
+
+  /**
+   * The field of the property.
+   * @returns {PropertyField | null}
+   */
+  get field() {
+    const field = this.querySelector('[name^="properties["]');
+
+    return field instanceof HTMLInputElement ||
+      field instanceof HTMLTextAreaElement ||
+      field instanceof HTMLSelectElement
+      ? field
+      : null;
+  }
+
   handleInput() {
     this.#updateCharacterCount();
+    this.#handleValueChange();
+  }
+
+  handleChange() {
+    this.#isValidated = true;
+    this.#handleValueChange();
+  }
+
+  /**
+   * Checks the value against the required rule and the type of the field, and shows the message when it is invalid.
+   * The message is also set as the validity of the field, so the browser reports it when the form is submitted.
+   * @returns {boolean} Whether the value is valid.
+   */
+  validate() {
+    const { field } = this;
+    const { error } = this.refs;
+    if (!field) return true;
+
+    const message = this.#getValidationMessage(field);
+
+    field.setCustomValidity(message);
+    field.setAttribute('aria-invalid', String(!!message));
+    error.textContent = message;
+    error.hidden = !message;
+
+    this.#isValidated = true;
+
+    return !message;
+  }
+
+  #handleValueChange() {
+    if (this.#isValidated) this.validate();
+    this.#updatePreview();
+  }
+
+  /**
+   * @param {PropertyField} field
+   * @returns {string} The validation message, empty when the value is valid.
+   */
+  #getValidationMessage(field) {
+    const messages = this.refs.error.dataset;
+    const { fieldType } = field.dataset;
+    const file = field instanceof HTMLInputElement ? field.files?.[0] : undefined;
+    const value =
+      field instanceof HTMLInputElement && field.type === 'checkbox'
+        ? field.checked
+          ? field.value
+          : ''
+        : field.value.trim();
+
+    if (!value && !file) return field.required ? (messages.messageRequired ?? '') : '';
+
+    switch (fieldType) {
+      case 'select': {
+        const options = field instanceof HTMLSelectElement ? Array.from(field.options, (option) => option.value) : [];
+        return options.includes(value) ? '' : (messages.messageInvalidOption ?? '');
+      }
+      case 'color':
+        return COLOR_PATTERN.test(value) ? '' : (messages.messageInvalidColor ?? '');
+      case 'date': {
+        const min = field instanceof HTMLInputElement ? field.min : '';
+        const isValidDate = /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+        // Dates in the ISO format compare as strings
+        return isValidDate && (!min || value >= min) ? '' : (messages.messageInvalidDate ?? '');
+      }
+      case 'file': {
+        if (!file) return '';
+        if (!isAcceptedFile(file, field.getAttribute('accept'))) return messages.messageInvalidFile ?? '';
+
+        const maxSize = Number(field.dataset.maxSize) * 1024 * 1024;
+        return maxSize && file.size > maxSize ? (messages.messageFileTooLarge ?? '') : '';
+      }
+      default:
+        return '';
+    }
   }
 
+  #updatePreview() {
+    const { field } = this;
+    if (!this.#section || !field || field.dataset.preview !== 'true') return;
+
+    const { fieldType } = field.dataset;
+    const value = field.value.trim();
+    /** @type {PreviewValue | null} */
+    let previewValue = null;
+
+    if (fieldType === 'color') {
+      previewValue = COLOR_PATTERN.test(value) ? { color: value } : null;
+    } else if (value && fieldType !== 'file' && field.type !== 'checkbox') {
+      previewValue = { text: value };
+    }
+
+    personalizationPreview.set(this.#section, this, previewValue);
+  }
+
+  #onVariantUpdate = () => {
+    const section = this.#section;
+    if (!section) return;
+
+    // The media gallery may be replaced by the other listeners of the event
+    requestAnimationFrame(() => personalizationPreview.render(section));
+  };
+
   #updateCharacterCount() {
     const { characterCount, textInput } = this.refs;
+    if (!characterCount || !textInput) return;
+
     const currentLength = textInput.value.length;
     const maxLength = textInput.maxLength;
 
@@ -30,4 +272,27 @@ class ProductCustomProperty extends Component {
   }
 }
 
+/**
+ * Checks a file against the `accept` attribute of its input, by extension or MIME type
+ * @param {File} file
+ * @param {string | null} accept - e.g. `.jpg,.png,application/pdf`
+ * @returns {boolean}
+ */
+function isAcceptedFile(file, accept) {
+  if (!accept) return true;
+
+  const name = file.name.toLowerCase();
+  const type = file.type.toLowerCase();
+
+  return accept
+    .split(',')
+    .map((value) => value.trim().toLowerCase())
+    .filter((value) => !!value)
+    .some((value) => {
+      if (value.startsWith('.')) return name.endsWith(value);
+      if (value.endsWith('/*')) return type.startsWith(value.slice(0, -1));
+      return type === value;
+    });
+}
+
 customElements.define('product-custom-property-component', ProductCustomProperty);
@@ -1,8 +1,9 @@
 import { Component } from '@theme/component';
-import { fetchConfig, preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, CartUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
+import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
+import { cartStore, getCartSectionIds, isMixingPreorders, CartOfflineError, PREORDER_PROPERTY } from '@theme/cart';
 
 // Error message display duration - gives users time to read the message
 const ERROR_MESSAGE_DISPLAY_DURATION = 10000;
@@ -13,6 +14,12 @@ const ERROR_BUTTON_REENABLE_DELAY = 1000;
 // Success message display duration for screen readers
 const SUCCESS_MESSAGE_DISPLAY_DURATION = 5000;
 
+/**
+ * @typedef {object} PreorderVariant
+ * @property {string | null} ship_date - The date the variant is expected to ship, e.g. `2026-12-01`.
+ * @property {string} message - The pre-order message, with the ship date.
+ */
+
 /**
  * @typedef {HTMLElement & {
  *   source: Element,
@@ -63,11 +70,22 @@ export class AddToCartComponent extends Component {
     this.refs.addToCartButton.disabled = false;
   }
 
+  /**
+   * Labels the button for a pre-order, or for adding to the cart.
+   * @param {boolean} isPreorder - Whether the variant is sold as a pre-order.
+   */
+  setPreorder(isPreorder) {
+    const label = this.refs.addToCartButton.querySelector('.add-to-cart-text__content span span');
+    const text = isPreorder ? this.dataset.preorderText : this.dataset.addToCartText;
+
+    if (label && text) label.textContent = text;
+  }
+
   /**
    * Handles the click event for the add to cart button.
    * @param {MouseEvent & {target: HTMLElement}} event - The click event.
    */
-  handleClick(event) {
+  async handleClick(event) {
     const form = this.closest('form');
     if (!form?.checkValidity()) return;
 
@@ -81,6 +99,9 @@ export class AddToCartComponent extends Component {
         return;
       }
     }
+    // Don't animate if the pre-order can't be in the same cart
+    if (await productForm?.isMixingPreorders()) return;
+
     if (this.refs.addToCartButton.dataset.puppet !== 'true') {
       const animationEnabled = this.dataset.addToCartAnimation === 'true';
       if (animationEnabled && !event.target.closest('.quick-add-modal')) {
@@ -169,7 +190,7 @@ if (!customElements.get('add-to-cart-component')) {
 /**
  * A custom element that manages a product form.
  *
- * @typedef {{items: Array<{quantity: number, variant_id: number}>}} Cart
+ * @typedef {import('./cart').Cart} Cart
  *
  * @typedef {object} ProductFormRefs
  * @property {HTMLInputElement} variantId - The form input for submitting the variant ID.
@@ -185,6 +206,9 @@ if (!customElements.get('add-to-cart-component')) {
  * @property {HTMLElement | undefined} quantitySelectorWrapper - The quantity selector wrapper element.
  * @property {HTMLElement | undefined} quantityLabel - The quantity label element.
  * @property {HTMLElement | undefined} pricePerItem - The price per item component.
+ * @property {HTMLInputElement | undefined} preorderProperty - The line item property of pre-orders.
+ * @property {HTMLElement | undefined} preorderMessage - The pre-order message, with the ship date.
+ * @property {HTMLScriptElement | undefined} preorderVariants - The pre-order variants of the product, as JSON.
  *
  * @extends Component<ProductFormRefs>
  */
@@ -195,6 +219,9 @@ class ProductFormComponent extends Component {
   /** @type {number | undefined} */
   #timeout;
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribeFromCart;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -203,14 +230,15 @@ class ProductFormComponent extends Component {
     target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
     target?.addEventListener(ThemeEvents.variantSelected, this.#onVariantSelected, { signal });
 
-    // Listen for cart updates to sync data-cart-quantity
-    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate, { signal });
+    // Keep data-cart-quantity in sync with the cart store
+    this.#unsubscribeFromCart = cartStore.subscribe(this.#onCartChange);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     this.#abortController.abort();
+    this.#unsubscribeFromCart?.();
   }
 
   /**
@@ -238,7 +266,7 @@ class ProductFormComponent extends Component {
   }
 
   /**
-   * Fetches cart and updates quantity selector for current variant
+   * Reads the cart from the store and updates quantity selector for current variant
    * @returns {Promise<number>} The cart quantity for the current variant
    */
   async #fetchAndUpdateCartQuantity() {
@@ -246,8 +274,7 @@ class ProductFormComponent extends Component {
     if (!variantIdInput?.value) return 0;
 
     try {
-      const response = await fetch('/cart.js');
-      const cart = await response.json();
+      const cart = await cartStore.get();
 
       return this.#updateCartQuantityFromData(cart);
     } catch (error) {
@@ -257,19 +284,11 @@ class ProductFormComponent extends Component {
   }
 
   /**
-   * Updates data-cart-quantity when cart is updated from elsewhere
-   * @param {CartUpdateEvent|CartAddEvent} event
+   * Updates data-cart-quantity whenever the cart changes
+   * @param {Cart} cart
    */
-  #onCartUpdate = async (event) => {
-    // Skip if this event came from this component
-    if (event.detail?.sourceId === this.id || event.detail?.data?.source === 'product-form-component') return;
-
-    const cart = /** @type {Cart} */ (event.detail?.resource);
-    if (cart?.items) {
-      this.#updateCartQuantityFromData(cart);
-    } else {
-      await this.#fetchAndUpdateCartQuantity();
-    }
+  #onCartChange = (cart) => {
+    this.#updateCartQuantityFromData(cart);
   };
 
   /**
@@ -277,7 +296,7 @@ class ProductFormComponent extends Component {
    *
    * @param {Event} event - The submit event.
    */
-  handleSubmit(event) {
+  async handleSubmit(event) {
     const { addToCartTextError } = this.refs;
     // Stop default behaviour from the browser
     event.preventDefault();
@@ -300,6 +319,8 @@ class ProductFormComponent extends Component {
 
     if (!form) throw new Error('Product form element missing');
 
+    if (!this.#validateCustomProperties(form)) return;
+
     if (this.refs.quantitySelector?.canAddToCart) {
       const validation = this.refs.quantitySelector.canAddToCart();
 
@@ -343,28 +364,20 @@ class ProductFormComponent extends Component {
       }
     }
 
+    if (await this.isMixingPreorders()) {
+      this.#showErrorMessage(addToCartTextError, this.dataset.preorderMixedError ?? '');
+      return;
+    }
+
     const formData = new FormData(form);
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    let cartItemComponentsSectionIds = [];
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        cartItemComponentsSectionIds.push(item.dataset.sectionId);
-      }
-      formData.append('sections', cartItemComponentsSectionIds.join(','));
-    });
-
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
-      .then(async (response) => {
+    cartStore
+      .add(formData, {
+        sections: getCartSectionIds(),
+        label: this.dataset.productTitle,
+        source: 'product-form-component',
+      })
+      .then((response) => {
         if (response.status) {
           this.dispatchEvent(
             new CartErrorEvent(form.getAttribute('id') || '', response.message, response.description, response.errors)
@@ -429,11 +442,8 @@ class ProductFormComponent extends Component {
             }, SUCCESS_MESSAGE_DISPLAY_DURATION);
           }
 
-          // Fetch the updated cart to get the actual total quantity for this variant
-          await this.#fetchAndUpdateCartQuantity();
-
           this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
+            new CartAddEvent(cartStore.cart ?? {}, id.toString(), {
               source: 'product-form-component',
               itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
               productId: this.dataset.productId,
@@ -443,6 +453,12 @@ class ProductFormComponent extends Component {
         }
       })
       .catch((error) => {
+        if (error instanceof CartOfflineError) {
+          const message = error.operation ? Theme.translations.cart_offline_pending : Theme.translations.cart_offline;
+          this.#showErrorMessage(addToCartTextError, message ?? '');
+          return;
+        }
+
         console.error(error);
       })
       .finally(() => {
@@ -450,6 +466,72 @@ class ProductFormComponent extends Component {
       });
   }
 
+  /**
+   * Whether adding the variant would mix pre-orders and in-stock items in the cart, when they ship separately.
+   * @returns {Promise<boolean>}
+   */
+  async isMixingPreorders() {
+    return isMixingPreorders([{ properties: this.preorderProperties }]);
+  }
+
+  /**
+   * The pre-order property of the selected variant, empty when it is not sold as a pre-order
+   * @returns {Record<string, string>}
+   */
+  get preorderProperties() {
+    const { preorderProperty } = this.refs;
+    return preorderProperty?.disabled === false ? { [PREORDER_PROPERTY]: preorderProperty.value } : {};
+  }
+
+  /**
+   * Validates the personalization fields of the form. The fields can be outside the form element, so they are
+   * found through `form.elements`. The first invalid field is focused.
+   * @param {HTMLFormElement} form
+   * @returns {boolean} Whether every field is valid.
+   */
+  #validateCustomProperties(form) {
+    /** @type {Set<HTMLElement & { validate: () => boolean }>} */
+    const components = new Set();
+
+    for (const element of form.elements) {
+      const component = element.closest('product-custom-property-component');
+      if (component instanceof HTMLElement && 'validate' in component && typeof component.validate === 'function') {
+        components.add(/** @type {HTMLElement & { validate: () => boolean }} */ (component));
+      }
+    }
+
+    const invalid = Array.from(components).filter((component) => !component.validate());
+    const field = invalid[0]?.querySelector('[name^="properties["]');
+    if (field instanceof HTMLElement) field.focus();
+
+    return !invalid.length;
+  }
+
+  /**
+   * Shows a message next to the add to cart button, e.g. that the item will be added once the shopper is back online
+   * @param {HTMLElement | null | undefined} addToCartTextError - The add to cart message element
+   * @param {string} message - The message
+   */
+  #showErrorMessage(addToCartTextError, message) {
+    this.#setLiveRegionText(message);
+
+    if (!addToCartTextError) return;
+    addToCartTextError.classList.remove('hidden');
+
+    const textNode = addToCartTextError.childNodes[2];
+    if (textNode) {
+      textNode.textContent = message;
+    } else {
+      addToCartTextError.appendChild(document.createTextNode(message));
+    }
+
+    if (this.#timeout) clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(() => {
+      addToCartTextError.classList.add('hidden');
+      this.#clearLiveRegionText();
+    }, ERROR_MESSAGE_DISPLAY_DURATION);
+  }
+
   /**
    * Updates the quantity label with the current cart quantity
    * @param {number} cartQty - The quantity in cart
@@ -496,6 +578,37 @@ class ProductFormComponent extends Component {
     }
   }
 
+  /**
+   * Switches the form to a pre-order when the variant is sold as one: the line item property is posted with the
+   * ship date, and the message tells when the variant ships.
+   * @param {VariantUpdateEvent['detail']['resource']} variant - The selected variant.
+   */
+  #updatePreorder(variant) {
+    const { preorderProperty, preorderMessage, preorderVariants, addToCartButtonContainer } = this.refs;
+
+    /** @type {Record<string, PreorderVariant>} */
+    let preorders = {};
+    try {
+      preorders = JSON.parse(preorderVariants?.textContent || '{}');
+    } catch {
+      // The variants are sold as usual when the pre-orders can't be read
+    }
+
+    const preorder = variant ? preorders[variant.id] : undefined;
+
+    if (preorderProperty) {
+      preorderProperty.disabled = !preorder;
+      preorderProperty.value = preorder?.ship_date ?? 'true';
+    }
+
+    if (preorderMessage) {
+      preorderMessage.hidden = !preorder;
+      preorderMessage.textContent = preorder?.message ?? '';
+    }
+
+    if (variant?.available) addToCartButtonContainer?.setPreorder(Boolean(preorder));
+  }
+
   /**
    * @param {VariantUpdateEvent} event
    */
@@ -523,7 +636,9 @@ class ProductFormComponent extends Component {
       currentAddToCartButtonContainer.enable();
     }
 
-    const newAddToCartButton = event.detail.data.html.querySelector('product-form-component [ref="addToCartButton"]');
+    const { html } = event.detail.data;
+
+    const newAddToCartButton = html?.querySelector('product-form-component [ref="addToCartButton"]');
     if (newAddToCartButton && currentAddToCartButton) {
       morph(currentAddToCartButton, newAddToCartButton);
     }
@@ -536,6 +651,8 @@ class ProductFormComponent extends Component {
       }
     }
 
+    this.#updatePreorder(event.detail.resource);
+
     // Set the data attribute for the product variant media if it exists
     if (event.detail.resource) {
       const productVariantMedia = event.detail.resource.featured_media?.preview_image?.src;
@@ -547,6 +664,9 @@ class ProductFormComponent extends Component {
       }
     }
 
+    // The quantity rules and volume pricing are only rendered by the server, they follow with the section fragment
+    if (!html) return;
+
     // Check if quantity rules, price-per-item, or add-to-cart are appearing/disappearing (causes layout shift)
     const {
       quantityRules,
@@ -559,31 +679,31 @@ class ProductFormComponent extends Component {
 
     // Update quantity selector's min/max/step attributes and cart quantity for the new variant
     const newQuantityInput = /** @type {HTMLInputElement | null} */ (
-      event.detail.data.html.querySelector('quantity-selector-component input[ref="quantityInput"]')
+      html.querySelector('quantity-selector-component input[ref="quantityInput"]')
     );
 
     if (quantitySelector?.updateConstraints && newQuantityInput) {
       quantitySelector.updateConstraints(newQuantityInput.min, newQuantityInput.max || null, newQuantityInput.step);
     }
 
-    const newQuantityRules = event.detail.data.html.querySelector('.quantity-rules');
+    const newQuantityRules = html.querySelector('.quantity-rules');
     const isQuantityRulesChanging = !!quantityRules !== !!newQuantityRules;
 
-    const newPricePerItem = event.detail.data.html.querySelector('price-per-item');
+    const newPricePerItem = html.querySelector('price-per-item');
     const isPricePerItemChanging = !!pricePerItem !== !!newPricePerItem;
 
     if ((isQuantityRulesChanging || isPricePerItemChanging) && quantitySelector) {
       // Store quantity value before morphing entire container
       const currentQuantityValue = quantitySelector.getValue?.();
 
-      const newProductFormButtons = event.detail.data.html.querySelector('.product-form-buttons');
+      const newProductFormButtons = html.querySelector('.product-form-buttons');
 
       if (productFormButtons && newProductFormButtons) {
         morph(productFormButtons, newProductFormButtons);
 
         // Get the NEW quantity selector after morphing and update its constraints
         const newQuantityInputElement = /** @type {HTMLInputElement | null} */ (
-          event.detail.data.html.querySelector('quantity-selector-component input[ref="quantityInput"]')
+          html.querySelector('quantity-selector-component input[ref="quantityInput"]')
         );
 
         if (this.refs.quantitySelector?.updateConstraints && newQuantityInputElement && currentQuantityValue) {
@@ -607,13 +727,13 @@ class ProductFormComponent extends Component {
       ];
 
       for (const [selector, currentElement, fallback] of morphTargets) {
-        this.#morphOrUpdateElement(currentElement, event.detail.data.html.querySelector(selector), fallback);
+        this.#morphOrUpdateElement(currentElement, html.querySelector(selector), fallback);
       }
     }
 
     // Morph volume pricing if it exists
     const currentVolumePricing = this.refs.volumePricing;
-    const newVolumePricing = event.detail.data.html.querySelector('volume-pricing');
+    const newVolumePricing = html.querySelector('volume-pricing');
     this.#morphOrUpdateElement(currentVolumePricing, newVolumePricing, this.refs.productFormButtons);
 
     const hasB2BFeatures =
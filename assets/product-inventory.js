@@ -23,7 +23,8 @@ class ProductInventory extends HTMLElement {
       return;
     }
 
-    const newInventory = event.detail.data.html.querySelector('product-inventory');
+    // The inventory is only rendered by the server, it is updated once the section fragment arrives
+    const newInventory = event.detail.data.html?.querySelector('product-inventory');
 
     if (!newInventory) return;
 
@@ -1,4 +1,5 @@
 import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { formatCurrency } from '@theme/utilities';
 
 /**
  * A custom element that displays a product price.
@@ -31,8 +32,15 @@ class ProductPrice extends HTMLElement {
       return;
     }
 
+    const { html } = event.detail.data;
+
+    if (!html) {
+      this.#updatePriceFromVariant(event.detail.resource);
+      return;
+    }
+
     // Find the new product-price element in the updated HTML
-    const newProductPrice = event.detail.data.html.querySelector(`product-price[data-block-id="${this.dataset.blockId}"]`);
+    const newProductPrice = html.querySelector(`product-price[data-block-id="${this.dataset.blockId}"]`);
     if (!newProductPrice) return;
 
     // Update price container
@@ -47,11 +55,40 @@ class ProductPrice extends HTMLElement {
     if (!newNote) {
       currentNote?.remove();
     } else if (!currentNote) {
-      this.querySelector('[ref="priceContainer"]')?.insertAdjacentElement('afterend', /** @type {Element} */ (newNote.cloneNode(true)));
+      this.querySelector('[ref="priceContainer"]')?.insertAdjacentElement(
+        'afterend',
+        /** @type {Element} */ (newNote.cloneNode(true))
+      );
     } else {
       currentNote.replaceWith(newNote);
     }
   };
+
+  /**
+   * Updates the price from the variant resolved on the client, before the section fragment arrives.
+   * Prices whose markup would change, like ranges, unit prices or a sale starting or ending, wait for the fragment.
+   * @param {Object | null} variant - The variant of the event.
+   */
+  #updatePriceFromVariant(variant) {
+    if (!variant || !('price' in variant) || typeof variant.price !== 'number') return;
+
+    const priceContainer = this.querySelector('[ref="priceContainer"]');
+    const price = priceContainer?.querySelector('.price');
+    if (!priceContainer || !price || priceContainer.querySelector('.price-range, .unit-price')) return;
+
+    const compareAtPrice = priceContainer.querySelector('.compare-at-price');
+    const variantCompareAtPrice = 'compare_at_price' in variant ? Number(variant.compare_at_price) : 0;
+    const isOnSale = variantCompareAtPrice > variant.price;
+    if (isOnSale !== !!compareAtPrice) return;
+
+    const template =
+      priceContainer.getAttribute('data-currency-code') === 'true'
+        ? Theme.currency.money_with_currency_format
+        : Theme.currency.money_format;
+
+    price.textContent = formatCurrency(variant.price, template);
+    if (compareAtPrice) compareAtPrice.textContent = formatCurrency(variantCompareAtPrice, template);
+  }
 }
 
 if (!customElements.get('product-price')) {
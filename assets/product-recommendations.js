@@ -1,3 +1,17 @@
+import { cartStore } from '@theme/cart';
+import { getRecommendedProductIds } from '@theme/recommendation-strategies';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * The section that renders the product cards of the recommendations, on any route
+ */
+const CARDS_SECTION_ID = 'product-recommendations-cards';
+
+/**
+ * The strategies run when the element doesn't list its own, in order of priority
+ */
+const DEFAULT_STRATEGIES = ['pinned', 'shopify', 'collection', 'vendor', 'recently_viewed'];
+
 class ProductRecommendations extends HTMLElement {
   /**
    * The observer for the product recommendations
@@ -41,12 +55,6 @@ class ProductRecommendations extends HTMLElement {
     }
   });
 
-  /**
-   * The cached recommendations
-   * @type {Record<string, string>}
-   */
-  #cachedRecommendations = {};
-
   /**
    * An abort controller for the active fetch (if there is one)
    * @type {AbortController | null}
@@ -61,18 +69,17 @@ class ProductRecommendations extends HTMLElement {
   disconnectedCallback() {
     this.#intersectionObserver.disconnect();
     this.#mutationObserver.disconnect();
+    this.#activeFetch?.abort();
   }
 
   /**
-   * Load the product recommendations
-   * When carousel: try HTML API first (preserves carousel layout), then JSON/collection
-   * When grid: try JSON first, then collection, then HTML
+   * Load the product recommendations.
+   * The strategies find the products to recommend, then the cards are rendered by the cards section.
    */
   async #loadRecommendations() {
-    const { productId, recommendationsPerformed, sectionId, intent, layoutType } = this.dataset;
-    const id = this.id;
+    const { productId, recommendationsPerformed } = this.dataset;
 
-    if (!productId || !id) {
+    if (!productId || !this.id) {
       if (!window.Shopify?.designMode) this.#handleError(new Error('Product ID is required'));
       return;
     }
@@ -83,283 +90,109 @@ class ProductRecommendations extends HTMLElement {
       if (hasProducts) return;
     }
 
-    const listContainer = this.querySelector('.resource-list') || this.querySelector('[data-testid="resource-list-grid"]');
-    if (!listContainer) return;
+    const listContainer =
+      this.querySelector('.resource-list') || this.querySelector('[data-testid="resource-list-grid"]');
+    if (!(listContainer instanceof HTMLElement)) return;
 
-    const isCarousel = layoutType === 'carousel';
+    this.#activeFetch?.abort();
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
 
     try {
-      let success = false;
-
-      if (!isCarousel) {
-        success = await this.#tryHtmlApiFirst(productId, sectionId, intent, id);
-      }
-
-      if (!success) {
-        success = await this.#fetchJsonRecommendations(productId, intent);
-      }
-
-      if (!success) {
-        success = await this.#fetchFromCollection(productId, listContainer);
-      }
-
-      if (!success) {
-        const result = await this.#fetchCachedRecommendations(productId, sectionId, intent);
-        if (result.success) {
-          const html = document.createElement('div');
-          html.innerHTML = result.data || '';
-          const recommendations = html.querySelector(`product-recommendations[id="${id}"]`);
-          if (recommendations?.innerHTML?.trim()) {
-            this.dataset.recommendationsPerformed = 'true';
-            this.innerHTML = recommendations.innerHTML;
-            success = true;
-          }
-        }
-      }
-
-      if (success) {
-        this.dataset.recommendationsPerformed = 'true';
-      } else if (!window.Shopify?.designMode) {
-        this.#handleError(new Error('No recommendations available'));
-      }
-    } catch (e) {
-      const jsonSuccess = await this.#fetchJsonRecommendations(productId, intent);
-      if (!jsonSuccess) this.#handleError(e);
+      const productIds = await getRecommendedProductIds(
+        this.#strategies,
+        {
+          productId,
+          intent: this.dataset.intent || 'related',
+          limit: Number(this.dataset.limit) || 4,
+          collectionHandle: this.dataset.collectionHandle,
+          vendor: this.dataset.vendor,
+          tags: this.#getList(this.dataset.tags),
+          pinnedProductIds: this.#getList(this.dataset.pinnedProductIds),
+          market: this.dataset.market,
+          signal: abortController.signal,
+        },
+        await this.#getCartProductIds()
+      );
+
+      if (abortController.signal.aborted) return;
+      if (!productIds.length) throw new Error('No recommendations available');
+
+      await this.#renderProductCards(listContainer, productIds, abortController.signal);
+      if (abortController.signal.aborted) return;
+
+      this.dataset.recommendationsPerformed = 'true';
+    } catch (error) {
+      if (abortController.signal.aborted || window.Shopify?.designMode) return;
+      this.#handleError(error instanceof Error ? error : new Error(String(error)));
+    } finally {
+      if (this.#activeFetch === abortController) this.#activeFetch = null;
     }
   }
 
   /**
-   * Try HTML API first (for carousel - preserves server-rendered layout)
+   * The names of the strategies to run, in order of priority
+   * @returns {string[]}
    */
-  async #tryHtmlApiFirst(productId, sectionId, intent, id) {
-    const result = await this.#fetchCachedRecommendations(productId, sectionId, intent);
-    if (!result.success) return false;
-
-    const html = document.createElement('div');
-    html.innerHTML = result.data || '';
-    const recommendations = html.querySelector(`product-recommendations[id="${id}"]`);
-    if (!recommendations?.innerHTML?.trim()) return false;
-
-    const hasProducts = recommendations.querySelector('[data-has-recommendations="true"]');
-    if (!hasProducts) return false;
-
-    this.dataset.recommendationsPerformed = 'true';
-    this.innerHTML = recommendations.innerHTML;
-    return true;
+  get #strategies() {
+    const strategies = this.#getList(this.dataset.strategies);
+    return strategies.length ? strategies : DEFAULT_STRATEGIES;
   }
 
   /**
-   * Fallback: fetch products from collection when recommendations API returns empty
+   * @param {string | undefined} value - A comma-separated list
+   * @returns {string[]}
    */
-  async #fetchFromCollection(productId, listContainer) {
-    const baseUrl = (window.Shopify?.routes?.root || '/').replace(/\/$/, '');
-    const limit = this.dataset.url?.match(/limit=(\d+)/)?.[1] || 4;
-    const collectionHandle = this.dataset.collectionHandle || 'all';
-
-    const url = `${baseUrl}/collections/${collectionHandle}/products.json?limit=${limit}`;
-
-    try {
-      const response = await fetch(url);
-      if (!response.ok) return false;
-
-      const { products } = await response.json();
-      if (!products?.length) return false;
-
-      const filtered = products.filter((p) => String(p.id) !== String(productId));
-      if (!filtered.length) return false;
-
-      this.#renderProductCards(listContainer, filtered.slice(0, parseInt(limit, 10)), this.dataset.layoutType);
-      return true;
-    } catch {
-      return false;
-    }
+  #getList(value) {
+    return (value ?? '')
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean);
   }
 
   /**
-   * Render product cards HTML into container
-   * Uses theme structure: resource-list__item > product-card > link + content
-   * When layout is carousel, builds full slideshow structure
+   * The products in the cart are not recommended, the shopper already chose them
+   * @returns {Promise<string[]>}
    */
-  #renderProductCards(listContainer, products, layoutType = 'grid') {
-    const formatPrice = (value) => {
-      if (value == null) return '';
-      if (typeof value === 'string') return value;
-      return (value / 100).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
-    };
-
-    const root = (window.Shopify?.routes?.root || '/').replace(/\/$/, '') || '';
-    const getProductUrl = (p) => {
-      const url = p.url;
-      if (url && typeof url === 'string' && url.trim() && url !== '#') {
-        return url.startsWith('/') ? root + url : url;
-      }
-      if (p.handle && typeof p.handle === 'string') {
-        return `${root}/products/${p.handle}`;
-      }
-      return '';
-    };
-
-    const escapeAttr = (s) => (s || '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
-    const cardHtml = (product) => {
-      const img = product.featured_image ?? product.images?.[0] ?? product.variants?.[0]?.featured_image;
-      const imgUrl = typeof img === 'string' ? img : (img?.src ?? img?.url ?? '');
-      const productUrl = getProductUrl(product);
-      const title = escapeAttr(product.title);
-      const comparePrice = product.compare_at_price ?? product.variants?.[0]?.compare_at_price ?? 0;
-      const price = product.price ?? product.variants?.[0]?.price ?? 0;
-      const hasSale = comparePrice > price;
-      const linkAttrs = productUrl
-        ? `href="${escapeAttr(productUrl)}" class="product-card product-card__link"`
-        : 'class="product-card product-card__link"';
-      const tag = productUrl ? 'a' : 'div';
-      return `
-        <div class="resource-list__item">
-          <${tag} ${linkAttrs} style="display:flex;flex-direction:column;text-decoration:none;color:inherit;height:100%;cursor:${productUrl ? 'pointer' : 'default'};">
-            <div class="product-card__content layout-panel-flex layout-panel-flex--column product-grid__card gap-style" style="--product-card-gap: 4px;">
-              <div class="card-gallery" style="aspect-ratio: 1; overflow: hidden; position: relative;">
-                <img
-                  src="${escapeAttr(imgUrl)}"
-                  alt="${title}"
-                  loading="lazy"
-                  width="400"
-                  height="400"
-                  style="width:100%;height:100%;object-fit:contain;"
-                />
-              </div>
-              <h4 class="h4" style="margin:0;font-size:1rem;">${escapeAttr(product.title)}</h4>
-              <div class="price">
-                <span class="price__regular">${formatPrice(price)}</span>
-                ${hasSale ? `<s class="price__sale" style="margin-left:0.5rem;opacity:0.7;">${formatPrice(comparePrice)}</s>` : ''}
-              </div>
-            </div>
-          </${tag}>
-        </div>
-      `;
-    };
-
-    if (layoutType === 'carousel') {
-      listContainer.innerHTML = this.#buildCarouselHtml(products, cardHtml);
-      listContainer.classList.remove('resource-list--grid');
-      listContainer.classList.add('resource-list__carousel', 'force-full-width');
-    } else {
-      listContainer.innerHTML = products.map(cardHtml).join('');
-      listContainer.classList.remove('resource-list__carousel', 'force-full-width');
-      listContainer.classList.add('resource-list--grid');
+  async #getCartProductIds() {
+    try {
+      const cart = await cartStore.get();
+      return cart.items.map(({ product_id }) => String(product_id));
+    } catch {
+      return [];
     }
-
-    listContainer.setAttribute('data-has-recommendations', 'true');
-  }
-
-  /**
-   * Build carousel HTML structure with slideshow-component
-   */
-  #buildCarouselHtml(products, cardHtml) {
-    const iconsStyle = this.dataset.iconsStyle || 'arrow';
-    const iconsShape = this.dataset.iconsShape || 'none';
-    const sectionWidth = this.dataset.sectionWidth || 'page-width';
-    const columns = this.dataset.columns || '4';
-    const showArrows = iconsStyle !== 'none';
-    const gutterStyle = sectionWidth === 'page-width'
-      ? '--gutter-slide-width: var(--util-page-margin-offset);'
-      : '--gutter-slide-width: 0px;';
-    const slideshowGutters = sectionWidth === 'page-width' ? 'start end' : '';
-
-    const timelineScope = products.map((_, i) => `--slide-${i}`).join(', ');
-
-    const slides = products
-      .map((product, i) => {
-        const children = cardHtml(product);
-        return `<slideshow-slide ref="slides[]" slide-id="slide-${i}" aria-hidden="${i === 0 ? 'false' : 'true'}" class="resource-list__slide" style="--slideshow-timeline: --slide-${i};">${children}</slideshow-slide>`;
-      })
-      .join('');
-
-    const shapeClass = iconsShape && iconsShape !== 'none' ? ` slideshow-control--shape-${iconsShape}` : '';
-    const styleClass = ` slideshow-control--style-${iconsStyle}`;
-    const arrowSvg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="none"><path stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="var(--icon-stroke-width)" vector-effect="non-scaling-stroke" d="M4.25 10h11.5m0 0-4-4m4 4-4 4"/></svg>';
-    const arrowsHtml = showArrows
-      ? `<slideshow-arrows position="center"><button type="button" class="slideshow-control slideshow-control--previous${shapeClass}${styleClass} button button-unstyled button-unstyled--transparent flip-x" ref="previous" on:click="/previous" aria-label="Previous"><span class="svg-wrapper icon-arrow">${arrowSvg}</span></button><button type="button" class="slideshow-control slideshow-control--next${shapeClass}${styleClass} button button-unstyled button-unstyled--transparent" ref="next" on:click="/next" aria-label="Next"><span class="svg-wrapper icon-arrow">${arrowSvg}</span></button></slideshow-arrows>`
-      : '';
-
-    return `
-      <div class="resource-list__carousel" style="${gutterStyle} --slide-width-max: 300px;">
-        <slideshow-component
-          class="resource-list__carousel"
-          style="--slideshow-timeline: ${timelineScope};"
-          initial-slide="0"
-          ${showArrows ? '' : 'infinite'}
-        >
-          <slideshow-container ref="slideshowContainer">
-            ${arrowsHtml}
-            <slideshow-slides tabindex="-1" ref="scroller" ${slideshowGutters ? `gutters="${slideshowGutters}"` : ''}>
-              ${slides}
-            </slideshow-slides>
-          </slideshow-container>
-        </slideshow-component>
-      </div>
-    `;
   }
 
   /**
-   * Fetch recommendations via JSON API and render product cards
+   * Renders the cards of the recommended products into the list, in the layout of the list.
+   * The products are found with a search by id, the cards section lists them in the order of the ids.
+   * @param {HTMLElement} listContainer - The list of the recommendations
+   * @param {string[]} productIds - The IDs of the recommended products, best first
+   * @param {AbortSignal} signal - Leaves the list as it is when aborted, as newer recommendations are loading
    */
-  async #fetchJsonRecommendations(productId, intent) {
-    const baseUrl = (window.Shopify?.routes?.root || '/').replace(/\/$/, '');
-    const limit = this.dataset.url?.match(/limit=(\d+)/)?.[1] || 4;
-    const url = `${baseUrl}/recommendations/products.json?product_id=${productId}&limit=${limit}&intent=${intent || 'related'}`;
+  async #renderProductCards(listContainer, productIds, signal) {
+    const url = new URL(Theme.routes.search_url, location.origin);
+    url.searchParams.set('q', productIds.map((id) => `id:${id}`).join(' OR '));
+    url.searchParams.set('resources[type]', 'product');
 
-    try {
-      const response = await fetch(url);
-      if (!response.ok) return false;
-
-      const { products } = await response.json();
-      if (!products?.length) return false;
+    const markup = await sectionRenderer.getSectionHTML(CARDS_SECTION_ID, true, url);
+    if (signal.aborted) return;
 
-      const listContainer = this.querySelector('.resource-list') || this.querySelector('[data-testid="resource-list-grid"]');
-      if (!listContainer) return false;
+    const html = new DOMParser().parseFromString(markup, 'text/html');
 
-      this.#renderProductCards(listContainer, products, this.dataset.layoutType);
-      return true;
-    } catch {
-      return false;
+    if (!html.querySelector('[data-recommendation-grid] > .resource-list__item')) {
+      throw new Error('No recommendations available');
     }
-  }
 
-  /**
-   * Fetches the recommendations and cached the result for future use
-   * @param {string} productId
-   * @param {string | undefined} sectionId
-   * @param {string | undefined} intent
-   * @returns {Promise<{ success: true, data: string } | { success: false, status: number }>}
-   */
-  async #fetchCachedRecommendations(productId, sectionId, intent) {
-    const urlsToTry = [
-      `${this.dataset.url}&product_id=${productId}&section_id=${sectionId || 'product-recommendations'}&intent=${intent}`,
-      sectionId && sectionId !== 'product-recommendations'
-        ? `${this.dataset.url}&product_id=${productId}&section_id=product-recommendations&intent=${intent}`
-        : null
-    ].filter(Boolean);
-
-    for (const url of urlsToTry) {
-      const cachedResponse = this.#cachedRecommendations[url];
-      if (cachedResponse) return { success: true, data: cachedResponse };
-
-      this.#activeFetch?.abort();
-      this.#activeFetch = new AbortController();
-
-      try {
-        const response = await fetch(url, { signal: this.#activeFetch.signal });
-        if (response.ok) {
-          const text = await response.text();
-          this.#cachedRecommendations[url] = text;
-          return { success: true, data: text };
-        }
-      } catch {
-        /* try next url */
-      } finally {
-        this.#activeFetch = null;
-      }
-    }
-    return { success: false, status: 404 };
+    const isCarousel = this.dataset.layoutType === 'carousel';
+    const cards = html.querySelector(isCarousel ? '[data-recommendation-carousel]' : '[data-recommendation-grid]');
+    if (!cards) return;
+
+    listContainer.replaceChildren(...cards.children);
+    listContainer.classList.toggle('resource-list--grid', !isCarousel);
+    listContainer.classList.toggle('resource-list__carousel', isCarousel);
+    listContainer.classList.toggle('force-full-width', isCarousel);
+    listContainer.dataset.hasRecommendations = 'true';
   }
 
   /**
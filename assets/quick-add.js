@@ -1,6 +1,6 @@
 import { morph } from '@theme/morph';
 import { Component } from '@theme/component';
-import { CartUpdateEvent, ThemeEvents, VariantSelectedEvent } from '@theme/events';
+import { CartUpdateEvent, QuickAddOpenEvent, ThemeEvents, eventBus } from '@theme/events';
 import { DialogComponent, DialogCloseEvent } from '@theme/dialog';
 import { mediaQueryLarge, isMobileBreakpoint, getIOSVersion } from '@theme/utilities';
 import VariantPicker from '@theme/variant-picker';
@@ -11,7 +11,7 @@ export class QuickAddComponent extends Component {
   /** @type {Map<string, Element>} */
   #cachedContent = new Map();
   /** @type {AbortController} */
-  #cartUpdateAbortController = new AbortController();
+  #eventsAbortController = new AbortController();
 
   get productPageUrl() {
     const productCard = /** @type {import('./product-card').ProductCard | null} */ (this.closest('product-card'));
@@ -49,10 +49,13 @@ export class QuickAddComponent extends Component {
     super.connectedCallback();
 
     mediaQueryLarge.addEventListener('change', this.#closeQuickAddModal);
-    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate, {
-      signal: this.#cartUpdateAbortController.signal,
-    });
-    document.addEventListener(ThemeEvents.variantSelected, this.#updateQuickAddButtonState.bind(this));
+
+    this.#eventsAbortController = new AbortController();
+    const { signal } = this.#eventsAbortController;
+
+    eventBus.subscribe(ThemeEvents.cartUpdate, this.#handleCartUpdate, { signal });
+    // Cards that connect late, e.g. in lazy loaded sections, catch up on a swatch selected before they connected
+    eventBus.subscribe(ThemeEvents.variantSelected, this.#updateQuickAddButtonState, { signal, replay: true });
   }
 
   disconnectedCallback() {
@@ -60,8 +63,7 @@ export class QuickAddComponent extends Component {
 
     mediaQueryLarge.removeEventListener('change', this.#closeQuickAddModal);
     this.#abortController?.abort();
-    this.#cartUpdateAbortController.abort();
-    document.removeEventListener(ThemeEvents.variantSelected, this.#updateQuickAddButtonState.bind(this));
+    this.#eventsAbortController.abort();
   }
 
   /**
@@ -115,6 +117,9 @@ export class QuickAddComponent extends Component {
     }
 
     this.#openQuickAddModal();
+    this.dispatchEvent(
+      new QuickAddOpenEvent({ id: this.dataset.productId, title: this.dataset.productTitle || '', url: currentUrl })
+    );
   };
 
   /** @param {QuickAddDialog} dialogComponent */
@@ -224,15 +229,15 @@ export class QuickAddComponent extends Component {
 
   /**
    * Updates the quick-add button state based on whether a swatch is selected
-   * @param {VariantSelectedEvent} event - The variant selected event
+   * @param {Event} event - The variant selected event
    */
-  #updateQuickAddButtonState(event) {
+  #updateQuickAddButtonState = (event) => {
     if (!(event.target instanceof HTMLElement)) return;
     if (event.target.closest('product-card') !== this.closest('product-card')) return;
     const productOptionsCount = this.dataset.productOptionsCount;
     const quickAddButton = productOptionsCount === '1' ? 'add' : 'choose';
     this.setAttribute('data-quick-add-button', quickAddButton);
-  }
+  };
 
   /**
    * Syncs the variant selection from the product card to the modal
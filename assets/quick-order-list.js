@@ -1,7 +1,8 @@
 import { Component } from '@theme/component';
 import { CartAddEvent, QuantitySelectorUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, fetchConfig, resetShimmer } from '@theme/utilities';
+import { debounce, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
+import { cartStore, getCartSectionIds } from '@theme/cart';
 
 /**
  * A custom element that manages the quick order list section.
@@ -228,19 +229,14 @@ class QuickOrderListComponent extends Component {
       const sectionsUrl = new URL(window.location.pathname, window.location.origin);
       sectionsUrl.searchParams.set('page', this.currentPage.toString());
 
-      const body = JSON.stringify({
-        updates: updates,
-        sections: sectionIds.join(','),
-        sections_url: sectionsUrl.pathname + sectionsUrl.search,
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
-      });
-
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
+      const data = await cartStore.update(
+        { updates },
+        {
+          sections: sectionIds,
+          sectionsUrl: sectionsUrl.pathname + sectionsUrl.search,
+          signal: this.#abortController.signal,
+        }
+      );
 
       resetShimmer(this);
 
@@ -313,19 +309,14 @@ class QuickOrderListComponent extends Component {
       const sectionsUrl = new URL(window.location.pathname, window.location.origin);
       sectionsUrl.searchParams.set('page', this.currentPage.toString());
 
-      const body = JSON.stringify({
-        updates: updates,
-        sections: this.#getSectionIds().join(','),
-        sections_url: sectionsUrl.pathname + sectionsUrl.search,
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
-      });
-
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
+      const data = await cartStore.update(
+        { updates },
+        {
+          sections: this.#getSectionIds(),
+          sectionsUrl: sectionsUrl.pathname + sectionsUrl.search,
+          signal: this.#abortController.signal,
+        }
+      );
 
       resetShimmer(this);
 
@@ -512,22 +503,18 @@ class QuickOrderListComponent extends Component {
    * @returns {string[]} Array of section IDs
    */
   #getSectionIds() {
-    const sectionIds = [];
+    const sectionIds = new Set();
 
     if (this.dataset.sectionId) {
-      sectionIds.push(this.dataset.sectionId);
+      sectionIds.add(this.dataset.sectionId);
     }
 
     // Also include all cart-items-component sections (like cart drawer) for smooth updates
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    for (const component of cartItemsComponents) {
-      if (!(component instanceof HTMLElement)) continue;
-      if (component.dataset.sectionId && !sectionIds.includes(component.dataset.sectionId)) {
-        sectionIds.push(component.dataset.sectionId);
-      }
+    for (const sectionId of getCartSectionIds()) {
+      sectionIds.add(sectionId);
     }
 
-    return sectionIds;
+    return /** @type {string[]} */ ([...sectionIds]);
   }
 }
 
@@ -1,35 +1,122 @@
+import { RecentlyViewedUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} RecentlyViewedProduct
+ * @property {string} id - The product ID
+ * @property {string} handle - The product handle
+ * @property {string} [variantId] - The ID of the variant that was selected
+ * @property {number} viewedAt - When the product was last viewed, in milliseconds since the epoch
+ * @property {string} [market] - The handle of the market the product was viewed in
+ */
+
+/**
+ * @typedef {Object} RecentlyViewedFilter
+ * @property {string} [market] - Only keep the products viewed in this market
+ * @property {string[]} [exclude] - The IDs of products to leave out, e.g. the product being viewed
+ * @property {number} [limit] - The maximum number of products
+ */
+
+/**
+ * The key used to store the viewed products in local storage
+ */
+const STORAGE_KEY = 'viewedProducts';
+
+/**
+ * The version of the stored format
+ */
+const VERSION = 2;
+
 /**
  * Updates the recently viewed products in localStorage.
+ * The products are stored with a version, so the format can change without breaking stored histories.
  */
 export class RecentlyViewed {
-  /** @static @constant {string} The key used to store the viewed products in session storage */
-  static #STORAGE_KEY = 'viewedProducts';
-  /** @static @constant {number} The maximum number of products to store */
-  static #MAX_PRODUCTS = 4;
+  /**
+   * The maximum number of products to store
+   * @type {number}
+   */
+  static limit = Theme.recentlyViewed?.limit ?? 12;
+
+  /**
+   * How long a product is remembered after it was viewed, in milliseconds
+   * @type {number}
+   */
+  static maxAge = (Theme.recentlyViewed?.max_age_days ?? 30) * 24 * 60 * 60 * 1000;
 
   /**
-   * Adds a product to the recently viewed products list.
-   * @param {string} productId - The ID of the product to add.
+   * Adds a product to the recently viewed products list, or moves it first when it was already viewed.
+   * @param {Omit<RecentlyViewedProduct, 'viewedAt'>} product - The product to add.
    */
-  static addProduct(productId) {
-    let viewedProducts = this.getProducts();
+  static addProduct(product) {
+    const viewedProducts = this.#read().filter(({ id }) => id !== product.id);
 
-    viewedProducts = viewedProducts.filter((/** @type {string} */ id) => id !== productId);
-    viewedProducts.unshift(productId);
-    viewedProducts = viewedProducts.slice(0, this.#MAX_PRODUCTS);
+    viewedProducts.unshift({ ...product, viewedAt: Date.now() });
+    this.#write(viewedProducts.slice(0, this.limit));
+  }
 
-    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(viewedProducts));
+  /**
+   * Removes a product from the recently viewed products list.
+   * @param {string} productId - The ID of the product to remove.
+   */
+  static removeProduct(productId) {
+    this.#write(this.#read().filter(({ id }) => id !== productId));
   }
 
   static clearProducts() {
-    localStorage.removeItem(this.#STORAGE_KEY);
+    localStorage.removeItem(STORAGE_KEY);
+    document.dispatchEvent(new RecentlyViewedUpdateEvent([]));
   }
 
   /**
-   * Retrieves the list of recently viewed products from session storage.
-   * @returns {string[]} The list of viewed products.
+   * Retrieves the list of recently viewed products from local storage.
+   * @param {RecentlyViewedFilter} [filter] - Which products to retrieve.
+   * @returns {RecentlyViewedProduct[]} The viewed products, most recent first.
    */
-  static getProducts() {
-    return JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+  static getProducts({ market, exclude = [], limit = this.limit } = {}) {
+    return this.#read()
+      .filter((product) => (!market || !product.market || product.market === market) && !exclude.includes(product.id))
+      .slice(0, limit);
+  }
+
+  /**
+   * Reads the products that haven't expired, migrating lists stored by earlier versions.
+   * @returns {RecentlyViewedProduct[]}
+   */
+  static #read() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+      const oldestViewedAt = Date.now() - this.maxAge;
+
+      // The first version stored the product IDs only
+      if (Array.isArray(stored)) {
+        return stored.map((id) => ({ id: String(id), handle: '', viewedAt: Date.now() }));
+      }
+
+      if (stored?.version !== VERSION || !Array.isArray(stored.products)) return [];
+
+      return stored.products.filter(
+        (/** @type {RecentlyViewedProduct} */ product) => product.viewedAt >= oldestViewedAt
+      );
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @param {RecentlyViewedProduct[]} products
+   */
+  static #write(products) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: VERSION, products }));
+    } catch (error) {
+      console.error(error);
+    }
+
+    document.dispatchEvent(new RecentlyViewedUpdateEvent(products));
   }
 }
+
+// Keeps the lists of every open tab in sync
+window.addEventListener('storage', (event) => {
+  if (event.key === STORAGE_KEY) document.dispatchEvent(new RecentlyViewedUpdateEvent(RecentlyViewed.getProducts()));
+});
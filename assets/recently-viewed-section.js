@@ -0,0 +1,90 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { morph } from '@theme/morph';
+import { RecentlyViewed } from '@theme/recently-viewed-products';
+import { sectionRenderer } from '@theme/section-renderer';
+import { requestIdleCallback } from '@theme/utilities';
+
+/**
+ * The section file that renders the cards of the recently viewed products
+ */
+const SECTION_ID = 'recently-viewed-products';
+
+/**
+ * A custom element that shows the products the shopper viewed recently, other than the product being viewed.
+ * The products are stored on the client, so their cards are rendered once the page has loaded.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLUListElement} list - The list of product cards.
+ *
+ * @extends {Component<Refs>}
+ */
+class RecentlyViewedProductsComponent extends Component {
+  requiredRefs = ['list'];
+
+  /** @type {AbortController | null} */
+  #abortController = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.recentlyViewedUpdate, this.#render);
+    requestIdleCallback(this.#render);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.recentlyViewedUpdate, this.#render);
+    this.#abortController?.abort();
+  }
+
+  /**
+   * Forgets the recently viewed products, which hides the section.
+   */
+  clearProducts() {
+    RecentlyViewed.clearProducts();
+  }
+
+  /**
+   * Renders the cards of the recently viewed products, or hides the section when there are none.
+   */
+  #render = async () => {
+    this.#abortController?.abort();
+    const abortController = (this.#abortController = new AbortController());
+
+    const { productId, market, limit } = this.dataset;
+    const products = RecentlyViewed.getProducts({
+      market,
+      exclude: productId ? [productId] : [],
+      limit: Number(limit) || undefined,
+    });
+
+    if (!products.length) {
+      this.hidden = !Shopify.designMode;
+      this.refs.list.replaceChildren();
+      return;
+    }
+
+    const url = new URL(Theme.routes.search_url, location.origin);
+    url.searchParams.set('q', products.map(({ id }) => `id:${id}`).join(' OR '));
+    url.searchParams.set('resources[type]', 'product');
+
+    try {
+      const markup = await sectionRenderer.getSectionHTML(SECTION_ID, true, url);
+      if (abortController.signal.aborted) return;
+
+      const items = new DOMParser().parseFromString(markup, 'text/html').querySelector('[data-recently-viewed-items]');
+      if (!items) return;
+
+      morph(this.refs.list, items);
+      this.hidden = !this.refs.list.children.length && !Shopify.designMode;
+    } catch (error) {
+      console.error(error);
+    }
+  };
+}
+
+if (!customElements.get('recently-viewed-products-component')) {
+  customElements.define('recently-viewed-products-component', RecentlyViewedProductsComponent);
+}
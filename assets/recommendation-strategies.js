@@ -0,0 +1,165 @@
+import { RecentlyViewed } from '@theme/recently-viewed-products';
+
+/**
+ * @typedef {Object} RecommendationContext
+ * @property {string} productId - The product the recommendations are for
+ * @property {string} intent - The Shopify recommendation intent, 'related' or 'complementary'
+ * @property {number} limit - The number of products the strategy should try to return
+ * @property {string} [collectionHandle] - The handle of the collection of the product
+ * @property {string} [vendor] - The vendor of the product
+ * @property {string[]} tags - The tags of the product
+ * @property {string[]} pinnedProductIds - The products the merchant pinned to the product
+ * @property {string} [market] - The handle of the current market
+ * @property {AbortSignal} [signal] - Aborts the requests of the strategy
+ */
+
+/**
+ * @typedef {Object} RecommendationStrategy
+ * @property {string} name - The name the strategy is listed by, e.g. in `data-strategies`
+ * @property {(context: RecommendationContext) => Promise<string[]>} getProductIds - Finds the IDs of the products to recommend, best first
+ */
+
+/**
+ * The most products the recommendations and predictive search endpoints return
+ */
+const MAX_ENDPOINT_LIMIT = 10;
+
+/**
+ * The strategies, by name
+ * @type {Map<string, RecommendationStrategy>}
+ */
+const strategies = new Map();
+
+/**
+ * Adds a strategy, or replaces the one with the same name, so apps and customizations can plug in their own.
+ * @param {RecommendationStrategy} strategy
+ */
+export function registerRecommendationStrategy(strategy) {
+  strategies.set(strategy.name, strategy);
+}
+
+/**
+ * Runs the strategies in order until there are enough products, leaving out duplicates and excluded products.
+ * A strategy that fails is skipped, so the next ones can still fill the list.
+ * @param {string[]} names - The names of the strategies to run, in order of priority
+ * @param {RecommendationContext} context - The product to recommend for, and the number of products to recommend
+ * @param {Iterable<string>} [exclude] - The IDs of products not to recommend, e.g. the products in the cart
+ * @returns {Promise<string[]>} The IDs of the recommended products
+ */
+export async function getRecommendedProductIds(names, context, exclude = []) {
+  const excludedIds = new Set([context.productId, ...exclude]);
+
+  /** @type {Set<string>} */
+  const productIds = new Set();
+
+  for (const name of names) {
+    const strategy = strategies.get(name);
+    if (!strategy) continue;
+
+    const remaining = context.limit - productIds.size;
+    if (remaining <= 0) break;
+
+    try {
+      // Ask for more than missing, as some of the products can be excluded or already recommended
+      const ids = await strategy.getProductIds({ ...context, limit: remaining + excludedIds.size });
+
+      for (const id of ids) {
+        if (productIds.size >= context.limit) break;
+        if (!excludedIds.has(id)) productIds.add(id);
+      }
+    } catch (error) {
+      if (context.signal?.aborted) throw error;
+      console.error(`The "${name}" recommendation strategy failed:`, error);
+    }
+  }
+
+  return [...productIds];
+}
+
+/**
+ * Fetches JSON from a storefront endpoint
+ * @param {URL} url
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<any>}
+ */
+async function fetchJSON(url, signal) {
+  const response = await fetch(url, { signal, headers: { Accept: 'application/json' } });
+  if (!response.ok) throw new Error(`Failed to fetch ${url.pathname}: ${response.status}`);
+
+  return response.json();
+}
+
+/**
+ * @param {Array<{ id: number | string }> | undefined} products
+ * @returns {string[]}
+ */
+function getIds(products) {
+  return (products ?? []).map(({ id }) => String(id));
+}
+
+/**
+ * The root of the storefront, without the trailing slash
+ * @returns {string}
+ */
+function getRootURL() {
+  return Theme.routes.root_url.replace(/\/$/, '');
+}
+
+// The products the merchant pinned to the product, always recommended first
+registerRecommendationStrategy({
+  name: 'pinned',
+  getProductIds: async ({ pinnedProductIds }) => pinnedProductIds,
+});
+
+// The related or complementary products of Shopify's recommendations
+registerRecommendationStrategy({
+  name: 'shopify',
+  getProductIds: async ({ productId, intent, limit, signal }) => {
+    const url = new URL(`${Theme.routes.product_recommendations_url}.json`, location.origin);
+    url.searchParams.set('product_id', productId);
+    url.searchParams.set('limit', String(Math.min(limit, MAX_ENDPOINT_LIMIT)));
+    url.searchParams.set('intent', intent);
+
+    const { products } = await fetchJSON(url, signal);
+    return getIds(products);
+  },
+});
+
+// The other products of the product's collection
+registerRecommendationStrategy({
+  name: 'collection',
+  getProductIds: async ({ collectionHandle, limit, signal }) => {
+    if (!collectionHandle) return [];
+
+    const url = new URL(`${getRootURL()}/collections/${collectionHandle}/products.json`, location.origin);
+    url.searchParams.set('limit', String(limit));
+
+    const { products } = await fetchJSON(url, signal);
+    return getIds(products);
+  },
+});
+
+// The products of the same vendor or with the same tags, found by predictive search in those fields only
+registerRecommendationStrategy({
+  name: 'vendor',
+  getProductIds: async ({ vendor, tags, limit, signal }) => {
+    const terms = [vendor, ...tags].filter(Boolean);
+    if (!terms.length) return [];
+
+    const url = new URL(`${Theme.routes.predictive_search_url}.json`, location.origin);
+    url.searchParams.set('q', terms.join(' OR '));
+    url.searchParams.set('resources[type]', 'product');
+    url.searchParams.set('resources[limit]', String(Math.min(limit, MAX_ENDPOINT_LIMIT)));
+    url.searchParams.set('resources[options][fields]', 'vendor,tag');
+
+    const { resources } = await fetchJSON(url, signal);
+    return getIds(resources?.results?.products);
+  },
+});
+
+// The products the shopper viewed recently, as they showed an interest in them
+registerRecommendationStrategy({
+  name: 'recently_viewed',
+  getProductIds: async ({ productId, market, limit }) =>
+    RecentlyViewed.getProducts({ market, exclude: [productId], limit }).map(({ id }) => id),
+});
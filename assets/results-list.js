@@ -1,21 +1,255 @@
-import { mediaQueryLarge, requestIdleCallback, startViewTransition } from '@theme/utilities';
+import { debounce, mediaQueryLarge, requestIdleCallback, startViewTransition } from '@theme/utilities';
 import PaginatedList from '@theme/paginated-list';
+import { FacetEngine } from '@theme/facet-engine';
+import { sectionRenderer } from '@theme/section-renderer';
+import { morph } from '@theme/morph';
 
 /**
- * A custom element that renders a pagniated results list
+ * How long the filters have to stay unchanged before the filter panels are refreshed from the server
+ */
+const FILTER_SYNC_DELAY = 800;
+
+/**
+ * @typedef {Object} ClientFacets
+ * @property {FacetEngine} engine - Filters and sorts the products
+ * @property {Map<number, Element>} cards - The card of every product, by product ID
+ */
+
+/**
+ * A custom element that renders a pagniated results list.
+ *
+ * With the `client-side-filtering` attribute, the products of the collection are loaded once, then filtered,
+ * sorted and paginated in the browser. The filter panels are refreshed from the server in the background.
+ * The page only renders the cards of the first page, the others are loaded along with the product data.
  */
 export default class ResultsList extends PaginatedList {
+  /** @type {Promise<ClientFacets | null> | null} */
+  #clientFacets = null;
+
   connectedCallback() {
     super.connectedCallback();
 
     mediaQueryLarge.addEventListener('change', this.#handleMediaQueryChange);
     this.setAttribute('initialized', '');
+
+    if (this.hasAttribute('client-side-filtering')) {
+      requestIdleCallback(() => this.#loadClientFacets());
+    }
   }
 
   disconnectedCallback() {
     mediaQueryLarge.removeEventListener('change', this.#handleMediaQueryChange);
   }
 
+  /**
+   * Filters and sorts the products in the browser.
+   * @param {URLSearchParams} parameters - The filter and sort parameters
+   * @returns {Promise<boolean>} False when the section has to be rendered by the server instead
+   */
+  async filterOnClient(parameters) {
+    if (!this.hasAttribute('client-side-filtering')) return false;
+
+    const clientFacets = await this.#loadClientFacets();
+    if (!clientFacets || !clientFacets.engine.supports(parameters)) return false;
+
+    const products = clientFacets.engine.query(parameters);
+
+    // The server renders the empty state
+    if (products.length === 0) return false;
+
+    this.#renderCards(getCards(clientFacets, products), this.#pageSize);
+    this.#updateFacetCounts(clientFacets.engine, parameters, products.length);
+    this.#syncFilters();
+
+    return true;
+  }
+
+  /**
+   * Reveals the next page of products.
+   */
+  async showMore() {
+    const { grid } = this.refs;
+    if (!grid) return;
+
+    // Sections rendered by the Section Rendering API include every card, the ones after the first page hidden
+    if (this.#revealHiddenCards()) return;
+
+    const clientFacets = await this.#loadClientFacets();
+    if (!clientFacets) return;
+
+    const parameters = new URLSearchParams(window.location.search);
+
+    if (!clientFacets.engine.supports(parameters)) {
+      await sectionRenderer.renderSection(this.sectionId, { cache: false });
+      this.#revealHiddenCards();
+      return;
+    }
+
+    const renderedCount = grid.querySelectorAll(':scope > [ref="cards[]"]').length;
+    this.#renderCards(getCards(clientFacets, clientFacets.engine.query(parameters)), renderedCount + this.#pageSize);
+  }
+
+  /**
+   * Reveals the next page of the hidden cards.
+   * @returns {boolean} Whether there were hidden cards
+   */
+  #revealHiddenCards() {
+    const { grid, showMore } = this.refs;
+    const hiddenCards = Array.from(grid?.querySelectorAll(':scope > [ref="cards[]"][hidden]') ?? []);
+
+    if (hiddenCards.length === 0) return false;
+
+    for (const card of hiddenCards.slice(0, this.#pageSize)) {
+      if (card instanceof HTMLElement) card.hidden = false;
+    }
+
+    if (showMore) showMore.hidden = hiddenCards.length <= this.#pageSize;
+
+    return true;
+  }
+
+  /**
+   * The number of products per page, when they are paginated in the browser
+   * @returns {number}
+   */
+  get #pageSize() {
+    return Number(this.getAttribute('page-size')) || 24;
+  }
+
+  /**
+   * Loads the product data and the cards of the whole collection, from the unfiltered section.
+   * @returns {Promise<ClientFacets | null>}
+   */
+  #loadClientFacets() {
+    this.#clientFacets ??= (async () => {
+      const url = new URL(window.location.pathname, window.location.origin);
+      const html = await sectionRenderer.getSectionHTML(this.sectionId, true, url);
+      const parsedSection = new DOMParser().parseFromString(html, 'text/html');
+      const data = parsedSection.querySelector('script[ref="facetData"]')?.textContent;
+
+      if (!data) return null;
+
+      /** @type {Map<number, Element>} */
+      const cards = new Map();
+      for (const card of parsedSection.querySelectorAll('[ref="grid"] > [ref="cards[]"]')) {
+        if (card instanceof HTMLElement) cards.set(Number(card.dataset.productId), card);
+      }
+
+      return { engine: new FacetEngine(JSON.parse(data)), cards };
+    })().catch((error) => {
+      console.error(error);
+      return null;
+    });
+
+    return this.#clientFacets;
+  }
+
+  /**
+   * Renders the first cards in order.
+   * The grid is morphed, so the cards that are already rendered are moved rather than re-created.
+   * @param {Element[]} cards - The cards of the matching products
+   * @param {number} count - How many cards to render
+   */
+  #renderCards(cards, count) {
+    const { grid, showMore } = this.refs;
+    if (!grid) return;
+
+    const newGrid = /** @type {Element} */ (grid.cloneNode(false));
+    const otherChildren = Array.from(grid.children).filter((child) => child.getAttribute('ref') !== 'cards[]');
+
+    newGrid.append(
+      ...otherChildren.map((child) => child.cloneNode(true)),
+      ...cards.slice(0, count).map((card) => {
+        const newCard = /** @type {HTMLElement} */ (card.cloneNode(true));
+        newCard.hidden = false;
+        return newCard;
+      })
+    );
+
+    morph(grid, newGrid);
+
+    if (showMore) showMore.hidden = cards.length <= count;
+  }
+
+  /**
+   * Checks the selected filter values, disables the ones that would not match any product, and updates the
+   * summary of every filter and the product counts, so the filters don't wait for the server.
+   * @param {FacetEngine} engine - The facet engine
+   * @param {URLSearchParams} parameters - The filter parameters
+   * @param {number} productCount - The number of matching products
+   */
+  #updateFacetCounts(engine, parameters, productCount) {
+    /** @type {Map<Element, HTMLInputElement[]>} */
+    const checkedInputsByPanel = new Map();
+
+    for (const input of this.querySelectorAll('facets-form-component input[type="checkbox"][name^="filter."]')) {
+      if (!(input instanceof HTMLInputElement)) continue;
+
+      input.checked = parameters.getAll(input.name).includes(input.value);
+      input.disabled = !input.checked && engine.count(parameters, input.name, input.value) === 0;
+      input
+        .closest('.facets__inputs-list-item')
+        ?.classList.toggle('facets__inputs-list-item--disabled', input.disabled);
+
+      const panel = input.closest('details');
+      if (!panel) continue;
+
+      const checkedInputs = checkedInputsByPanel.get(panel) ?? [];
+      if (input.checked) checkedInputs.push(input);
+      checkedInputsByPanel.set(panel, checkedInputs);
+    }
+
+    for (const [panel, checkedInputs] of checkedInputsByPanel) {
+      const status = panel.querySelector('facet-status-component');
+      if (status && 'updateListSummary' in status && typeof status.updateListSummary === 'function') {
+        status.updateListSummary(checkedInputs);
+      }
+    }
+
+    const { item_count_one = '', item_count_other = '', see_items_one = '', see_items_other = '' } = Theme.translations;
+    const isOne = productCount === 1;
+
+    for (const count of this.querySelectorAll('[data-testid="products-count"] span')) {
+      count.textContent = (isOne ? item_count_one : item_count_other).replace('{{ count }}', productCount.toString());
+    }
+
+    for (const button of this.querySelectorAll('.facets__see-results')) {
+      button.textContent = (isOne ? see_items_one : see_items_other).replace('{{ count }}', productCount.toString());
+    }
+  }
+
+  /**
+   * Refreshes the parts of the filters only the server renders once the shopper stops changing filters,
+   * e.g. the active filter pills. The product grid is left as it is.
+   */
+  #syncFilters = debounce(async () => {
+    const url = window.location.href;
+    const html = await sectionRenderer.getSectionHTML(this.sectionId, true, new URL(url)).catch((error) => {
+      // The filters rendered on the client stay as they are
+      console.error(error);
+      return null;
+    });
+
+    if (!html) return;
+
+    // The filters changed again in the meantime
+    if (url !== window.location.href) return;
+
+    const wrapper = this.querySelector('.collection-wrapper');
+    const newWrapper = new DOMParser().parseFromString(html, 'text/html').querySelector('.collection-wrapper');
+    if (!wrapper || !newWrapper) return;
+
+    const newChildren = Array.from(newWrapper.children);
+
+    Array.from(wrapper.children).forEach((child, index) => {
+      const newChild = newChildren[index];
+
+      if (!newChild || child.id === 'ResultsList' || child.tagName !== newChild.tagName) return;
+
+      morph(child, newChild);
+    });
+  }, FILTER_SYNC_DELAY);
+
   /**
    * Updates the layout.
    *
@@ -73,6 +307,16 @@ export default class ResultsList extends PaginatedList {
   };
 }
 
+/**
+ * Gets the cards of products, in order
+ * @param {ClientFacets} clientFacets
+ * @param {Array<{ id: number }>} products
+ * @returns {Element[]}
+ */
+function getCards({ cards }, products) {
+  return products.map(({ id }) => cards.get(id)).filter((card) => card !== undefined);
+}
+
 if (!customElements.get('results-list')) {
   customElements.define('results-list', ResultsList);
 }
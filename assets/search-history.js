@@ -0,0 +1,63 @@
+/**
+ * Updates the terms the shopper searched for in localStorage, most recent first.
+ */
+export class SearchHistory {
+  /** @static @constant {string} The key used to store the search terms in local storage */
+  static #STORAGE_KEY = 'searchHistory';
+  /** @static @constant {number} The maximum number of search terms to store */
+  static #MAX_TERMS = 6;
+
+  /**
+   * Adds a term to the search history, or moves it first when it was already searched for.
+   * @param {string} term - The search term.
+   */
+  static addTerm(term) {
+    const trimmedTerm = term.trim();
+    if (!trimmedTerm) return;
+
+    const terms = this.getTerms().filter((searchTerm) => searchTerm.toLowerCase() !== trimmedTerm.toLowerCase());
+    terms.unshift(trimmedTerm);
+
+    this.#write(terms.slice(0, this.#MAX_TERMS));
+  }
+
+  /**
+   * Removes a term from the search history.
+   * @param {string} term - The search term.
+   */
+  static removeTerm(term) {
+    this.#write(this.getTerms().filter((searchTerm) => searchTerm !== term));
+  }
+
+  static clearTerms() {
+    try {
+      localStorage.removeItem(this.#STORAGE_KEY);
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Retrieves the search history.
+   * @returns {string[]} The search terms, most recent first.
+   */
+  static getTerms() {
+    try {
+      const terms = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+      return Array.isArray(terms) ? terms : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @param {string[]} terms
+   */
+  static #write(terms) {
+    try {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(terms));
+    } catch (error) {
+      console.error(error);
+    }
+  }
+}
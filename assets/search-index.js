@@ -0,0 +1,403 @@
+import { normalizeString } from '@theme/utilities';
+
+/**
+ * A local index of the store's products, used when predictive search finds nothing for a query.
+ * Shopify matches words exactly, so misspellings and words typed without their accents return no results.
+ * The index matches them by edit distance and by how they sound, and suggests a corrected query.
+ */
+
+/**
+ * @typedef {Object} IndexedProduct
+ * @property {number} id
+ * @property {string} text - The title, vendor, type and tags, as searched
+ */
+
+/**
+ * @typedef {Object} IndexedWord
+ * @property {string} display - The word as written in the catalog, with its accents
+ * @property {string} key - The phonetic key of the word
+ * @property {number} count - The number of products with the word
+ */
+
+/**
+ * @typedef {Object} FallbackResults
+ * @property {number[]} productIds - The matching products, best match first
+ * @property {string | null} suggestion - The corrected query, when the query has misspelled words
+ */
+
+/**
+ * The number of products requested per page of the products endpoint, the most it returns
+ */
+const PAGE_SIZE = 250;
+
+/**
+ * The number of pages loaded, so large catalogs don't load every product
+ */
+const MAX_PAGES = 4;
+
+/**
+ * How long the index is kept in local storage
+ */
+const CACHE_TTL = 12 * 60 * 60 * 1000;
+
+/**
+ * Words that don't tell products apart, in the languages of the store
+ */
+const STOP_WORDS = new Set('a and de del el en for la las los of para the with y'.split(' '));
+
+/**
+ * The scores of the ways a query word can match a word of the index
+ */
+const SCORES = {
+  exact: 1,
+  prefix: 0.9,
+  typo: 0.8,
+  prefixTypo: 0.6,
+  phonetic: 0.5,
+};
+
+export class SearchIndex {
+  /** @type {Promise<IndexedProduct[]> | null} */
+  #products = null;
+
+  /** @type {Map<string, IndexedWord>} */
+  #words = new Map();
+
+  /** @type {Map<number, Set<string>>} */
+  #productWords = new Map();
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey] - Where the index is cached in local storage
+   */
+  constructor({ storageKey = `searchIndex:${Theme.routes.root_url}` } = {}) {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Loads the index, from local storage when it is recent enough
+   * @returns {Promise<IndexedProduct[]>}
+   */
+  load() {
+    this.#products ??= this.#loadProducts()
+      .then((products) => {
+        this.#build(products);
+        return products;
+      })
+      .catch((error) => {
+        // Loading is retried on the next search
+        this.#products = null;
+        throw error;
+      });
+
+    return this.#products;
+  }
+
+  /**
+   * Finds the products matching every word of a query, allowing typos, missing accents and words that sound alike
+   * @param {string} query - The search query
+   * @param {number} [limit] - The maximum number of products
+   * @returns {Promise<FallbackResults>}
+   */
+  async search(query, limit = 8) {
+    const products = await this.load();
+    const queryWords = getQueryWords(query);
+
+    if (!queryWords.length) return { productIds: [], suggestion: null };
+
+    const matches = queryWords.map((word) => this.#matchWord(word));
+    const scores = products.flatMap(({ id }) => {
+      const productWords = this.#productWords.get(id);
+      let score = 0;
+
+      for (const wordMatches of matches) {
+        let bestScore = 0;
+
+        for (const word of productWords ?? []) {
+          bestScore = Math.max(bestScore, wordMatches.get(word) ?? 0);
+        }
+
+        if (!bestScore) return [];
+        score += bestScore;
+      }
+
+      return [{ id, score }];
+    });
+
+    // Sorting is stable, so equally good matches keep the order of the catalog
+    const productIds = scores
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ id }) => id);
+
+    return { productIds, suggestion: this.#suggest(queryWords) };
+  }
+
+  /**
+   * Scores the words of the index against a query word
+   * @param {string} queryWord - The normalized query word
+   * @returns {Map<string, number>} The scores of the matching words
+   */
+  #matchWord(queryWord) {
+    const queryKey = getPhoneticKey(queryWord);
+    const maxEdits = getMaxEdits(queryWord);
+
+    /** @type {Map<string, number>} */
+    const scores = new Map();
+
+    for (const [word, { key }] of this.#words) {
+      const score = scoreWord(queryWord, queryKey, maxEdits, word, key);
+      if (score) scores.set(word, score);
+    }
+
+    return scores;
+  }
+
+  /**
+   * Corrects the query words that are not in the index, with the closest word that is
+   * @param {string[]} queryWords - The normalized query words
+   * @returns {string | null} The corrected query, or null when no word was corrected
+   */
+  #suggest(queryWords) {
+    let corrected = false;
+
+    const words = queryWords.map((queryWord) => {
+      const indexedWord = this.#words.get(queryWord);
+      if (indexedWord) return indexedWord.display;
+
+      const queryKey = getPhoneticKey(queryWord);
+      const maxEdits = getMaxEdits(queryWord);
+      let bestWord = null;
+      let bestScore = 0;
+      let bestCount = 0;
+
+      for (const [word, { key, count }] of this.#words) {
+        const score = scoreWord(queryWord, queryKey, maxEdits, word, key, false);
+
+        if (score > bestScore || (score && score === bestScore && count > bestCount)) {
+          bestWord = word;
+          bestScore = score;
+          bestCount = count;
+        }
+      }
+
+      if (!bestWord) return queryWord;
+
+      corrected = true;
+      return this.#words.get(bestWord)?.display ?? bestWord;
+    });
+
+    return corrected ? words.join(' ') : null;
+  }
+
+  /**
+   * @param {IndexedProduct[]} products
+   */
+  #build(products) {
+    this.#words.clear();
+    this.#productWords.clear();
+
+    for (const { id, text } of products) {
+      /** @type {Set<string>} */
+      const productWords = new Set();
+
+      for (const display of text.toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+        const word = normalizeString(display);
+        if (word.length < 2 || productWords.has(word)) continue;
+
+        productWords.add(word);
+
+        const indexedWord = this.#words.get(word);
+        if (indexedWord) {
+          indexedWord.count++;
+        } else {
+          this.#words.set(word, { display, key: getPhoneticKey(word), count: 1 });
+        }
+      }
+
+      this.#productWords.set(id, productWords);
+    }
+  }
+
+  /**
+   * @returns {Promise<IndexedProduct[]>}
+   */
+  async #loadProducts() {
+    const cachedProducts = this.#readCache();
+    if (cachedProducts) return cachedProducts;
+
+    /** @type {IndexedProduct[]} */
+    const products = [];
+
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const url = new URL(`${Theme.routes.root_url.replace(/\/$/, '')}/products.json`, location.origin);
+      url.searchParams.set('limit', String(PAGE_SIZE));
+      url.searchParams.set('page', String(page));
+
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`Failed to load the search index: ${response.status}`);
+
+      /** @type {{ products: Array<Record<string, any>> }} */
+      const data = await response.json();
+
+      products.push(...data.products.map(toIndexedProduct));
+
+      if (data.products.length < PAGE_SIZE) break;
+    }
+
+    this.#writeCache(products);
+
+    return products;
+  }
+
+  /**
+   * @returns {IndexedProduct[] | null}
+   */
+  #readCache() {
+    try {
+      const cache = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (!cache || Date.now() - cache.createdAt > CACHE_TTL || !Array.isArray(cache.products)) return null;
+
+      return cache.products;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @param {IndexedProduct[]} products
+   */
+  #writeCache(products) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ createdAt: Date.now(), products }));
+    } catch {
+      // The storage is full or unavailable, the index is rebuilt on the next page view
+    }
+  }
+}
+
+/**
+ * Keeps the searchable fields of a product from the products endpoint
+ * @param {Record<string, any>} product
+ * @returns {IndexedProduct}
+ */
+function toIndexedProduct({ id, title, vendor, product_type, tags }) {
+  // Tags are an array in recent versions of the endpoint, and a comma-separated string in older ones
+  const tagList = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+
+  return { id, text: [title, vendor, product_type, ...tagList].filter(Boolean).join(' ') };
+}
+
+/**
+ * Splits a query into normalized words, without the stop words unless the query has nothing else
+ * @param {string} query
+ * @returns {string[]}
+ */
+function getQueryWords(query) {
+  const words = normalizeString(query)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  const significantWords = words.filter((word) => !STOP_WORDS.has(word));
+
+  return significantWords.length ? significantWords : words;
+}
+
+/**
+ * Scores how closely a query word matches a word of the index
+ * @param {string} queryWord
+ * @param {string} queryKey - The phonetic key of the query word
+ * @param {number} maxEdits - The number of typos allowed in the query word
+ * @param {string} word
+ * @param {string} key - The phonetic key of the word
+ * @param {boolean} [matchPrefix] - Whether the query word can be the start of the word, as it is still being typed
+ * @returns {number} The score, 0 when the words don't match
+ */
+function scoreWord(queryWord, queryKey, maxEdits, word, key, matchPrefix = true) {
+  if (word === queryWord) return SCORES.exact;
+  if (matchPrefix && queryWord.length > 1 && word.startsWith(queryWord)) return SCORES.prefix;
+
+  if (maxEdits) {
+    const edits = getEditDistance(queryWord, word, maxEdits);
+    if (edits <= maxEdits) return SCORES.typo - (edits - 1) * 0.1;
+
+    if (matchPrefix && word.length > queryWord.length) {
+      const prefixEdits = getEditDistance(queryWord, word.slice(0, queryWord.length), maxEdits);
+      if (prefixEdits <= maxEdits) return SCORES.prefixTypo;
+    }
+  }
+
+  return queryWord.length > 2 && key === queryKey ? SCORES.phonetic : 0;
+}
+
+/**
+ * The number of typos allowed in a word, more for longer words
+ * @param {string} word
+ * @returns {number}
+ */
+function getMaxEdits(word) {
+  if (word.length <= 3) return 0;
+  if (word.length <= 6) return 1;
+  return 2;
+}
+
+/**
+ * Counts the insertions, deletions, substitutions and transpositions between two words.
+ * Stops counting past the maximum, as the exact distance of words that don't match doesn't matter.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - The largest distance of interest
+ * @returns {number} The distance, or `max + 1` when it is larger than the maximum
+ */
+function getEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  /** @type {number[][]} */
+  const rows = [Array.from({ length: b.length + 1 }, (_, index) => index)];
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      const previousRow = rows[i - 1] ?? [];
+      let distance = Math.min((previousRow[j] ?? 0) + 1, (row[j - 1] ?? 0) + 1, (previousRow[j - 1] ?? 0) + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, (rows[i - 2]?.[j - 2] ?? 0) + 1);
+      }
+
+      row.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    if (rowMin > max) return max + 1;
+    rows.push(row);
+  }
+
+  return Math.min(rows[a.length]?.[b.length] ?? max + 1, max + 1);
+}
+
+/**
+ * Reduces a normalized word to how it sounds, so that spellings pronounced alike in Spanish and English share a key,
+ * e.g. "rasuradora" and "razuradora", or "cortaunias" and "cortaunas"
+ * @param {string} word
+ * @returns {string}
+ */
+function getPhoneticKey(word) {
+  const key = word
+    .replace(/ph/g, 'f')
+    .replace(/qu/g, 'k')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/[cq]/g, 'k')
+    .replace(/z/g, 's')
+    .replace(/v/g, 'b')
+    .replace(/ll/g, 'y')
+    .replace(/h/g, '')
+    .replace(/(.)\1+/g, '$1');
+
+  // Vowels are the most often misspelled letters, only the first letter is kept when it is one
+  return key.charAt(0) + key.slice(1).replace(/[aeiouy]/g, '');
+}
+
+export const searchIndex = new SearchIndex();
@@ -1,14 +1,53 @@
 import { morph } from '@theme/morph';
+import { sectionPerformance } from '@theme/performance';
+import { ThemeEvents } from '@theme/events';
+import { LRUCache } from '@theme/utilities';
+
+/**
+ * The number of section URLs kept in the cache
+ */
+const SECTION_CACHE_MAX_ENTRIES = 50;
+
+/**
+ * How long a cached section stays fresh, in milliseconds
+ */
+const SECTION_CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * How long after its time to live a cached section is still rendered stale while it is revalidated, in
+ * milliseconds. Older sections may show outdated prices or availability, they wait for the fresh version.
+ */
+const SECTION_CACHE_MAX_STALE = 60 * 1000;
+
+/**
+ * The most sections the Section Rendering API renders in a single request
+ */
+const MAX_SECTIONS_PER_REQUEST = 5;
+
+/**
+ * The cache tag of sections that render cart contents, purged whenever the cart changes
+ */
+export const CART_CACHE_TAG = 'cart';
+
+/**
+ * Markup that depends on the cart contents
+ */
+const CART_DEPENDENT_PATTERN = /<cart-items-component|<cart-icon|data-cart-quantity|<cart-discount-component/;
+
+/**
+ * Matches the markup of prices, which are never shown stale
+ */
+const PRICE_PATTERN = /<product-price|class="price\b/;
 
 /**
  * A class to re-render sections using the Section Rendering API
  */
 class SectionRenderer {
   /**
-   * The cache of section HTML
-   * @type {Map<string, string>}
+   * The cache of section HTML, keyed by section rendering URL
+   * @type {LRUCache<string>}
    */
-  #cache = new Map();
+  #cache = new LRUCache({ maxEntries: SECTION_CACHE_MAX_ENTRIES, ttl: SECTION_CACHE_TTL });
 
   /**
    * The abort controllers by section ID
@@ -22,8 +61,16 @@ class SectionRenderer {
    */
   #pendingPromises = new Map();
 
+  /**
+   * The pending multi-section requests, by request URL
+   * @type {Map<string, Promise<Record<string, string | null>>>}
+   */
+  #pendingBatches = new Map();
+
   constructor() {
     window.addEventListener('load', this.#cachePageSections.bind(this));
+    document.addEventListener(ThemeEvents.cartUpdate, () => this.invalidate(CART_CACHE_TAG));
+    document.addEventListener(ThemeEvents.discountUpdate, () => this.invalidate(CART_CACHE_TAG));
   }
 
   /**
@@ -32,27 +79,203 @@ class SectionRenderer {
    * @param {Object} [options] - The options
    * @param {boolean} [options.cache] - Whether to use the cache
    * @param {URL} [options.url] - The URL to render the section from
+   * @param {boolean} [options.staleWhileRevalidate] - Whether to render a recently expired cached version right away,
+   * and morph the fresh version in once it is fetched. Sections that depend on the cart or show prices are never
+   * rendered stale.
    * @returns {Promise<string>} The rendered section HTML
    */
   async renderSection(sectionId, options) {
     const { cache = !Shopify.designMode } = options ?? {};
-    const { url } = options ?? {};
+    const { url, staleWhileRevalidate = false } = options ?? {};
     this.#abortPendingMorph(sectionId);
 
     const abortController = new AbortController();
     this.#abortControllersBySectionId.set(sectionId, abortController);
 
-    const sectionHTML = await this.getSectionHTML(sectionId, cache, url);
+    const renderMarker = sectionPerformance.createStartingMarker('render');
+    const staleHTML = cache && staleWhileRevalidate ? this.#getStaleHTML(sectionId, url) : undefined;
+
+    if (staleHTML) morphSection(sectionId, staleHTML).catch((error) => console.error(error));
+
+    const sectionHTML = await this.getSectionHTML(sectionId, cache && !staleHTML, url);
 
     if (!abortController.signal.aborted) {
       this.#abortControllersBySectionId.delete(sectionId);
 
-      morphSection(sectionId, sectionHTML);
+      if (sectionHTML !== staleHTML) morphSection(sectionId, sectionHTML);
+      sectionPerformance.measureFromMarker(renderMarker, {
+        section: normalizeSectionId(sectionId),
+        cache,
+        stale: !!staleHTML,
+      });
     }
 
     return sectionHTML;
   }
 
+  /**
+   * Renders several sections, fetching the ones that are not cached in as few requests as possible,
+   * and morphs them in the same animation frame
+   * @param {string[]} sectionIds - The section IDs
+   * @param {Object} [options] - The options
+   * @param {boolean} [options.cache] - Whether to use the cache
+   * @param {URL} [options.url] - The URL to render the sections for
+   * @returns {Promise<Record<string, string>>} The rendered section HTML, by normalized section ID
+   */
+  async renderSections(sectionIds, options) {
+    const { cache = !Shopify.designMode, url } = options ?? {};
+    const ids = [...new Set(sectionIds.map(normalizeSectionId))];
+
+    const abortControllers = ids.map((sectionId) => {
+      this.#abortPendingMorph(sectionId);
+
+      const abortController = new AbortController();
+      this.#abortControllersBySectionId.set(sectionId, abortController);
+
+      return /** @type {const} */ ([sectionId, abortController]);
+    });
+
+    const renderMarker = sectionPerformance.createStartingMarker('render-batch');
+    const sections = await this.getSectionsHTML(ids, { cache, url });
+
+    await new Promise((resolve) => requestAnimationFrame(resolve));
+
+    for (const [sectionId, abortController] of abortControllers) {
+      if (abortController.signal.aborted) continue;
+
+      this.#abortControllersBySectionId.delete(sectionId);
+
+      const sectionHTML = sections[sectionId];
+      if (!sectionHTML) continue;
+
+      // One section missing from the page should not keep the others from updating
+      morphSection(sectionId, sectionHTML).catch((error) => console.error(error));
+    }
+
+    sectionPerformance.measureFromMarker(renderMarker, { sections: ids.join(','), cache });
+
+    return sections;
+  }
+
+  /**
+   * Gets the HTML of several sections. Sections that are not cached are fetched with the `sections`
+   * parameter of the Section Rendering API, up to five per request, and cached individually.
+   * @param {string[]} sectionIds - The section IDs
+   * @param {Object} [options] - The options
+   * @param {boolean} [options.cache] - Whether to use the cache
+   * @param {URL} [options.url] - The URL to render the sections for
+   * @returns {Promise<Record<string, string>>} The rendered section HTML, by normalized section ID
+   */
+  async getSectionsHTML(sectionIds, options) {
+    const { cache = true, url = new URL(window.location.href) } = options ?? {};
+
+    /** @type {Record<string, string>} */
+    const sections = {};
+    /** @type {string[]} */
+    const missingIds = [];
+
+    for (const sectionId of new Set(sectionIds.map(normalizeSectionId))) {
+      const cachedHTML = cache ? this.#cache.get(buildSectionRenderingURL(sectionId, new URL(url))) : undefined;
+
+      if (cachedHTML) {
+        sections[sectionId] = cachedHTML;
+      } else {
+        missingIds.push(sectionId);
+      }
+    }
+
+    /** @type {string[][]} */
+    const batches = [];
+    for (let index = 0; index < missingIds.length; index += MAX_SECTIONS_PER_REQUEST) {
+      batches.push(missingIds.slice(index, index + MAX_SECTIONS_PER_REQUEST));
+    }
+
+    await Promise.all(
+      batches.map(async (batch) => {
+        const batchSections = await this.#fetchSections(batch, url);
+
+        for (const [sectionId, sectionHTML] of Object.entries(batchSections)) {
+          // Sections that failed to render are returned as null
+          if (!sectionHTML) continue;
+
+          sections[sectionId] = sectionHTML;
+          this.#cache.set(buildSectionRenderingURL(sectionId, new URL(url)), sectionHTML, {
+            tags: getCacheTags(sectionHTML),
+          });
+        }
+      })
+    );
+
+    return sections;
+  }
+
+  /**
+   * Fetches up to five sections in a single request, sharing the request with identical pending ones
+   * @param {string[]} sectionIds - The normalized section IDs
+   * @param {URL} url - The URL to render the sections for
+   * @returns {Promise<Record<string, string | null>>}
+   * @throws {Error} When the response is not successful
+   */
+  async #fetchSections(sectionIds, url) {
+    const requestUrl = new URL(url);
+    requestUrl.searchParams.delete('section_id');
+    requestUrl.searchParams.set('sections', sectionIds.join(','));
+    requestUrl.searchParams.sort();
+
+    const key = requestUrl.toString();
+
+    let pendingBatch = this.#pendingBatches.get(key);
+
+    if (!pendingBatch) {
+      pendingBatch = fetch(key).then((response) => {
+        if (!response.ok) throw new Error(`Failed to fetch sections ${sectionIds.join(', ')}: ${response.status}`);
+
+        return response.json();
+      });
+      this.#pendingBatches.set(key, pendingBatch);
+    }
+
+    try {
+      return await pendingBatch;
+    } finally {
+      this.#pendingBatches.delete(key);
+    }
+  }
+
+  /**
+   * Removes cached sections, so they are fetched again the next time they are rendered
+   * @param {string | ((url: string, html: string) => boolean)} tagOrPredicate - A cache tag like
+   * `CART_CACHE_TAG`, or a function that returns true for the section rendering URLs to remove
+   */
+  invalidate(tagOrPredicate) {
+    this.#cache.invalidate(tagOrPredicate);
+  }
+
+  /**
+   * Removes every cached version of a section, whatever URL it was rendered for
+   * @param {string} sectionId - The section ID
+   */
+  invalidateSection(sectionId) {
+    const normalizedId = normalizeSectionId(sectionId);
+
+    this.#cache.invalidate((url) => new URL(url).searchParams.get('section_id') === normalizedId);
+  }
+
+  /**
+   * Gets the cached HTML of a section that is past its time to live, if it can be rendered stale
+   * @param {string} sectionId - The section ID
+   * @param {URL} [url] - The URL to render the section for
+   * @returns {string | undefined}
+   */
+  #getStaleHTML(sectionId, url) {
+    const sectionUrl = buildSectionRenderingURL(sectionId, url);
+    if (this.#cache.isFresh(sectionUrl)) return undefined;
+
+    const html = this.#cache.get(sectionUrl, { allowStale: true, maxStale: SECTION_CACHE_MAX_STALE });
+
+    return html && !CART_DEPENDENT_PATTERN.test(html) && !PRICE_PATTERN.test(html) ? html : undefined;
+  }
+
   /**
    * Aborts an existing morph for a section
    * @param {string} sectionId - The section ID
@@ -92,7 +315,7 @@ class SectionRenderer {
     const sectionHTML = await pendingPromise;
     this.#pendingPromises.delete(sectionUrl);
 
-    this.#cache.set(sectionUrl, sectionHTML);
+    this.#cache.set(sectionUrl, sectionHTML, { tags: getCacheTags(sectionHTML) });
     return sectionHTML;
   }
 
@@ -102,10 +325,11 @@ class SectionRenderer {
   #cachePageSections() {
     for (const section of document.querySelectorAll('.shopify-section')) {
       const url = buildSectionRenderingURL(section.id);
-      if (this.#cache.get(url)) return;
-      if (containsShadowRoot(section)) return;
+      if (this.#cache.get(url)) continue;
+      if (containsShadowRoot(section)) continue;
 
-      this.#cache.set(url, section.outerHTML);
+      const html = section.outerHTML;
+      this.#cache.set(url, html, { tags: getCacheTags(html) });
     }
   }
 }
@@ -125,6 +349,15 @@ function buildSectionRenderingURL(sectionId, url = new URL(window.location.href)
   return url.toString();
 }
 
+/**
+ * Gets the cache tags of a rendered section
+ * @param {string} html - The section HTML
+ * @returns {string[]}
+ */
+function getCacheTags(html) {
+  return CART_DEPENDENT_PATTERN.test(html) ? [CART_CACHE_TAG] : [];
+}
+
 /**
  * Builds a section selector
  * @param {string} sectionId - The section ID
@@ -175,7 +408,9 @@ export async function morphSection(sectionId, html) {
     throw new Error(`Section ${sectionId} not found in the section rendering response`);
   }
 
-  morph(existingElement, newElement);
+  sectionPerformance.measure('morph', () => morph(existingElement, newElement), {
+    section: normalizeSectionId(sectionId),
+  });
 }
 
 export const sectionRenderer = new SectionRenderer();
@@ -201,8 +201,8 @@ class StickyAddToCartComponent extends Component {
 
     const variant = event.detail.resource;
 
-    // Get the new sticky add to cart HTML from the server response
-    const newStickyAddToCart = event.detail.data.html.querySelector('sticky-add-to-cart');
+    // Get the new sticky add to cart HTML from the server response, once it arrives
+    const newStickyAddToCart = event.detail.data.html?.querySelector('sticky-add-to-cart');
     if (!newStickyAddToCart) return;
 
     const newStickyBar = newStickyAddToCart.querySelector('[ref="stickyBar"]');
@@ -259,6 +259,127 @@ export function formatMoney(value) {
   return valueWithNoSpaces;
 }
 
+/**
+ * Formats money in cents, replicating the implementation of the `money` liquid filters
+ * @param {number} cents The money value in cents (hundredths of one major currency unit)
+ * @param {string} [template] The money format, e.g. `${{amount}}`
+ * @param {string} [currency] The ISO code of the currency
+ * @returns {string} The formatted money value
+ */
+export function formatCurrency(cents, template = Theme.currency.money_format, currency = Theme.currency.code) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
+    if (typeof placeholder !== 'string') return '';
+    if (placeholder === 'currency') return currency;
+
+    let thousandsSeparator = ',';
+    let decimalSeparator = '.';
+    let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
+
+    if (placeholder === 'amount') {
+      // Check first since it's the most common, use defaults.
+    } else if (placeholder === 'amount_no_decimals') {
+      precision = 0;
+    } else if (placeholder === 'amount_with_comma_separator') {
+      thousandsSeparator = '.';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
+      // Weirdly, this is correct. It uses amount_with_comma_separator's
+      // behaviour but removes decimals, resulting in an unintuitive
+      // output that can't possibly include commas, despite the name.
+      thousandsSeparator = '.';
+      precision = 0;
+    } else if (placeholder === 'amount_no_decimals_with_space_separator') {
+      thousandsSeparator = ' ';
+      precision = 0;
+    } else if (placeholder === 'amount_with_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_with_period_and_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = '.';
+    } else if (placeholder === 'amount_with_apostrophe_separator') {
+      thousandsSeparator = "'";
+      decimalSeparator = '.';
+    }
+
+    return formatCents(cents, thousandsSeparator, decimalSeparator, precision);
+  });
+}
+
+/**
+ * Formats money in cents
+ * @param {number} moneyValue - The money value in cents (hundredths of one major currency unit)
+ * @param {string} thousandsSeparator - The thousands separator
+ * @param {string} decimalSeparator - The decimal separator
+ * @param {number} precision - The precision
+ * @returns {string} The formatted money value
+ */
+function formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision) {
+  const roundedNumber = (moneyValue / 100).toFixed(precision);
+
+  let [a, b] = roundedNumber.split('.');
+  if (!a) a = '0';
+  if (!b) b = '';
+
+  // Split by groups of 3 digits
+  a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
+
+  return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+}
+
+/**
+ * Default currency decimals used in most currenies
+ * @constant {number}
+ */
+const DEFAULT_CURRENCY_DECIMALS = 2;
+
+/**
+ * Decimal precision for currencies that have a non-default precision
+ * @type {Record<string, number>}
+ */
+const CURRENCY_DECIMALS = {
+  BHD: 3,
+  BIF: 0,
+  BYR: 0,
+  CLF: 4,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  IQD: 3,
+  ISK: 0,
+  JOD: 3,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  KWD: 3,
+  LYD: 3,
+  MRO: 5,
+  OMR: 3,
+  PYG: 0,
+  RWF: 0,
+  TND: 3,
+  UGX: 0,
+  UYI: 0,
+  UYW: 4,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XAG: 0,
+  XAU: 0,
+  XBA: 0,
+  XBB: 0,
+  XBC: 0,
+  XBD: 0,
+  XDR: 0,
+  XOF: 0,
+  XPD: 0,
+  XPF: 0,
+  XPT: 0,
+  XSU: 0,
+  XTS: 0,
+  XUA: 0,
+};
+
 /**
  * Check if the document is ready/loaded and call the callback when it is.
  * @param {() => void} callback The function to call when the document is ready.
@@ -707,6 +828,131 @@ export class ResizeNotifier extends ResizeObserver {
   }
 }
 
+/**
+ * @template V
+ * @typedef {Object} CacheEntry
+ * @property {V} value - The cached value
+ * @property {number} expiresAt - When the value stops being fresh
+ * @property {Set<string>} tags - Labels the entry can be invalidated by
+ */
+
+/**
+ * A cache that keeps its most recently used entries, each fresh for a limited time.
+ * Entries past their time to live can still be read as stale, to be shown while they are revalidated.
+ * @template V
+ */
+export class LRUCache {
+  /**
+   * Entries in the order they were last used, the least recently used first
+   * @type {Map<string, CacheEntry<V>>}
+   */
+  #entries = new Map();
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries] - The number of entries kept, the least recently used are evicted first
+   * @param {number} [options.ttl] - How long entries stay fresh, in milliseconds
+   */
+  constructor({ maxEntries = 50, ttl = Infinity } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+  }
+
+  /**
+   * The number of entries, fresh or stale
+   * @returns {number}
+   */
+  get size() {
+    return this.#entries.size;
+  }
+
+  /**
+   * Gets a value and marks it as recently used
+   * @param {string} key
+   * @param {Object} [options]
+   * @param {boolean} [options.allowStale] - Whether to return the value after its time to live
+   * @param {number} [options.maxStale] - How long after its time to live a stale value is returned, in milliseconds
+   * @returns {V | undefined}
+   */
+  get(key, { allowStale = false, maxStale = Infinity } = {}) {
+    const entry = this.#entries.get(key);
+    if (!entry) return undefined;
+    if (!this.#isFresh(entry) && (!allowStale || entry.expiresAt + maxStale <= Date.now())) return undefined;
+
+    this.#entries.delete(key);
+    this.#entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  /**
+   * Checks whether a key has a value that has not outlived its time to live
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isFresh(key) {
+    const entry = this.#entries.get(key);
+
+    return !!entry && this.#isFresh(entry);
+  }
+
+  /**
+   * Stores a value, evicting the least recently used entries over the limit
+   * @param {string} key
+   * @param {V} value
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Overrides the time to live of the cache
+   * @param {Iterable<string>} [options.tags] - Labels the entry can be invalidated by
+   */
+  set(key, value, { ttl = this.ttl, tags = [] } = {}) {
+    this.#entries.delete(key);
+    this.#entries.set(key, { value, expiresAt: Date.now() + ttl, tags: new Set(tags) });
+
+    for (const oldestKey of this.#entries.keys()) {
+      if (this.#entries.size <= this.maxEntries) break;
+
+      this.#entries.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Removes an entry
+   * @param {string} key
+   * @returns {boolean} Whether there was an entry to remove
+   */
+  delete(key) {
+    return this.#entries.delete(key);
+  }
+
+  /**
+   * Removes the entries with a tag, or the entries matching a predicate
+   * @param {string | ((key: string, value: V) => boolean)} tagOrPredicate
+   */
+  invalidate(tagOrPredicate) {
+    for (const [key, entry] of this.#entries) {
+      const matches =
+        typeof tagOrPredicate === 'string' ? entry.tags.has(tagOrPredicate) : tagOrPredicate(key, entry.value);
+
+      if (matches) this.#entries.delete(key);
+    }
+  }
+
+  /**
+   * Removes every entry
+   */
+  clear() {
+    this.#entries.clear();
+  }
+
+  /**
+   * @param {CacheEntry<V>} entry
+   * @returns {boolean}
+   */
+  #isFresh(entry) {
+    return entry.expiresAt > Date.now();
+  }
+}
+
 // Header calculation functions for maintaining CSS variables
 export function calculateHeaderGroupHeight(
   header = document.querySelector('#header-component'),
@@ -1,7 +1,27 @@
 import { Component } from '@theme/component';
-import { VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
+import { ThemeEvents, VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
 import { morph, MORPH_OPTIONS } from '@theme/morph';
-import { yieldToMainThread, getViewParameterValue, ResizeNotifier } from '@theme/utilities';
+import { yieldToMainThread, getViewParameterValue, ResizeNotifier, debounce, LRUCache } from '@theme/utilities';
+import { variantPerformance } from '@theme/performance';
+
+/**
+ * The most section responses kept for a product
+ */
+const SECTION_CACHE_SIZE = 10;
+
+/**
+ * How long a section response is reused, in milliseconds. The sections show the inventory and the quantity rules
+ * of the variant, so they are also dropped whenever the cart changes.
+ */
+const SECTION_CACHE_TTL = 60 * 1000;
+
+/**
+ * @typedef {object} ResolvedVariant
+ * @property {string} id - The id of the variant.
+ * @property {boolean} available - Whether the variant is available.
+ * @property {boolean} inventory_management - Whether the variant has inventory management.
+ * @property {string[]} [options] - The option values of the variant.
+ */
 
 /**
  * @typedef {object} VariantPickerRefs
@@ -27,6 +47,18 @@ export default class VariantPicker extends Component {
   /** @type {HTMLInputElement[][]} */
   #radios = [];
 
+  /**
+   * The variants of the product, read from the product data of the page
+   * @type {ResolvedVariant[] | null | undefined}
+   */
+  #variants;
+
+  /**
+   * The section responses of the variants, keyed by their `option_values`
+   * @type {LRUCache<Promise<string>>}
+   */
+  #sectionCache = new LRUCache({ maxEntries: SECTION_CACHE_SIZE, ttl: SECTION_CACHE_TTL });
+
   #resizeObserver = new ResizeNotifier(() => this.updateVariantPickerCss());
 
   connectedCallback() {
@@ -45,13 +77,20 @@ export default class VariantPicker extends Component {
 
     this.addEventListener('change', this.variantChanged.bind(this));
     this.#resizeObserver.observe(this);
+    document.addEventListener(ThemeEvents.cartUpdate, this.#clearSectionCache);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     this.#resizeObserver.disconnect();
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#clearSectionCache);
   }
 
+  /**
+   * Drops the section responses, the inventory and quantity rules they show may have changed.
+   */
+  #clearSectionCache = () => this.#sectionCache.clear();
+
   /**
    * Handles the variant change event.
    * @param {Event} event - The variant change event.
@@ -76,7 +115,8 @@ export default class VariantPicker extends Component {
     // might also change other sections depending on recommendations, metafields, etc.
     const currentUrl = this.dataset.productUrl?.split('?')[0];
     const newUrl = selectedOption.dataset.connectedProductUrl;
-    const loadsNewProduct = isOnProductPage && !!newUrl && newUrl !== currentUrl;
+    const changesProduct = !!newUrl && newUrl !== currentUrl;
+    const loadsNewProduct = isOnProductPage && changesProduct;
     const isOnFeaturedProductSection = Boolean(this.closest('featured-product-information'));
 
     const morphElementSelector = loadsNewProduct
@@ -85,7 +125,18 @@ export default class VariantPicker extends Component {
       ? 'featured-product-information'
       : undefined;
 
-    this.fetchUpdatedSection(this.buildRequestUrl(selectedOption), morphElementSelector);
+    // Update the price, SKU, media and buy buttons right away when the variant is known locally. The section
+    // is still fetched, in the background, for the fragments only the server renders.
+    const canResolveLocally = !changesProduct && !!this.selectedOptionId && !this.closest('product-card');
+    const variant = canResolveLocally ? this.#resolveVariant() : undefined;
+
+    if (variant) {
+      this.dispatchEvent(
+        new VariantUpdateEvent(variant, this.selectedOptionId ?? '', { productId: this.dataset.productId ?? '' })
+      );
+    }
+
+    this.fetchUpdatedSection(this.buildRequestUrl(selectedOption), morphElementSelector, !!variant);
 
     const url = new URL(window.location.href);
 
@@ -275,6 +326,16 @@ export default class VariantPicker extends Component {
       }
     }
 
+    return this.#getSectionUrl(productUrl, params);
+  }
+
+  /**
+   * Builds the URL of the section the variant picker is rendered in.
+   * @param {string | undefined} productUrl - The product URL.
+   * @param {string[]} params - The query parameters.
+   * @returns {string} The section URL.
+   */
+  #getSectionUrl(productUrl, params) {
     // If variant-picker is a child of some specific sections, we need to append section_id=xxxx to the URL
     const SECTION_ID_MAP = {
       'quick-add-component': 'section-rendering-product-card',
@@ -296,19 +357,107 @@ export default class VariantPicker extends Component {
     return `${productUrl}?${params.join('&')}`;
   }
 
+  /**
+   * Prefetches the section of the variant an option leads to, so selecting it is served from the cache.
+   * @param {Event} event - The pointerenter event of an option label, or the focus event of its input.
+   */
+  prefetchVariant = debounce((event) => {
+    const input = event.target instanceof HTMLInputElement ? event.target : event.target.querySelector('input');
+    if (!(input instanceof HTMLInputElement) || input.checked) return;
+
+    // Options of another product load the whole page, they are not prefetched
+    const { connectedProductUrl, optionValueId } = input.dataset;
+    const currentUrl = this.dataset.productUrl?.split('?')[0];
+    if (!optionValueId || (connectedProductUrl && connectedProductUrl !== currentUrl)) return;
+
+    const fieldset = input.closest('fieldset');
+    const selectedOptions = /** @type {HTMLElement[]} */ (
+      Array.from(this.querySelectorAll('select option[selected], fieldset input:checked'))
+    );
+    const optionValues = selectedOptions.map((option) =>
+      option.closest('fieldset') === fieldset ? optionValueId : option.dataset.optionValueId
+    );
+
+    const params = [`option_values=${optionValues.join(',')}`];
+    const viewParamValue = getViewParameterValue();
+    if (viewParamValue) params.unshift(`view=${viewParamValue}`);
+
+    this.#getSection(this.#getSectionUrl(this.dataset.productUrl, params)).catch(() => {});
+  }, 200);
+
+  cancelPrefetchVariant = () => this.prefetchVariant.cancel();
+
+  /**
+   * Gets the section HTML of a variant, from the cache when it was fetched or prefetched before.
+   * @param {string} requestUrl - The request URL.
+   * @returns {Promise<string>} The section HTML.
+   */
+  #getSection(requestUrl) {
+    const key = new URL(requestUrl, window.location.origin).searchParams.get('option_values');
+    const cachedSection = key ? this.#sectionCache.get(key) : undefined;
+    if (cachedSection) return cachedSection;
+
+    const section = fetch(requestUrl).then((response) => {
+      if (!response.ok) throw new Error(`Failed to fetch the section: ${response.status}`);
+      return response.text();
+    });
+
+    if (!key) return section;
+
+    this.#sectionCache.set(key, section);
+    section.catch(() => this.#sectionCache.invalidate((_, cachedSection) => cachedSection === section));
+
+    return section;
+  }
+
+  /**
+   * Finds the variant with the selected options in the product data of the page.
+   * @returns {ResolvedVariant | null | undefined} The variant, `null` when no variant has the selected options, or `undefined` when the page has no product data.
+   */
+  #resolveVariant() {
+    if (this.#variants === undefined) {
+      const textContent = this.querySelector('script[data-product-variants]')?.textContent;
+
+      try {
+        this.#variants = textContent ? JSON.parse(textContent) : null;
+      } catch {
+        this.#variants = null;
+      }
+    }
+
+    if (!this.#variants) return undefined;
+
+    const selectedValues = Array.from(this.querySelectorAll('select option[selected], fieldset input:checked')).map(
+      (option) => (option instanceof HTMLInputElement || option instanceof HTMLOptionElement ? option.value : '')
+    );
+
+    return (
+      this.#variants.find(
+        ({ options }) =>
+          options?.length === selectedValues.length && options.every((value, index) => value === selectedValues[index])
+      ) ?? null
+    );
+  }
+
   /**
    * Fetches the updated section.
    * @param {string} requestUrl - The request URL.
    * @param {string} [morphElementSelector] - The selector of the element to be morphed. By default, only the variant picker is morphed.
+   * @param {boolean} [background] - Whether the variant was already updated from the product data of the page.
    */
-  fetchUpdatedSection(requestUrl, morphElementSelector) {
-    // We use this to abort the previous fetch request if it's still pending.
+  fetchUpdatedSection(requestUrl, morphElementSelector, background = false) {
+    // We use this to ignore the response of the previous selection if it's still pending. The request itself
+    // completes, so its response is cached for when the shopper selects that variant again.
     this.#abortController?.abort();
     this.#abortController = new AbortController();
+    const { signal } = this.#abortController;
+
+    const switchMarker = variantPerformance.createStartingMarker('switch');
 
-    fetch(requestUrl, { signal: this.#abortController.signal })
-      .then((response) => response.text())
+    this.#getSection(requestUrl)
       .then((responseText) => {
+        if (signal.aborted) return;
+
         this.#pendingRequestUrl = undefined;
         const html = new DOMParser().parseFromString(responseText, 'text/html');
         // Defer is only useful for the initial rendering of the page. Remove it here.
@@ -331,17 +480,16 @@ export default class VariantPicker extends Component {
                 html,
                 productId: this.dataset.productId ?? '',
                 newProduct,
+                background,
               })
             );
           }
         }
+
+        variantPerformance.measureFromMarker(switchMarker, { target: morphElementSelector || 'variant-picker' });
       })
       .catch((error) => {
-        if (error.name === 'AbortError') {
-          console.warn('Fetch aborted by user');
-        } else {
-          console.error(error);
-        }
+        console.error(error);
       });
   }
 
@@ -379,6 +527,10 @@ export default class VariantPicker extends Component {
       this.dataset.productUrl = newProductUrl;
     }
 
+    // The product data is read again, as the product might have changed
+    this.#variants = undefined;
+    if (newProduct) this.#sectionCache.clear();
+
     morph(this, newVariantPickerSource, {
       ...MORPH_OPTIONS,
       getNodeKey: (node) => {